@@ -0,0 +1,82 @@
+// Typed errors for weather API requests
+// Lets the UI tell "the service is down" apart from "this location is bad".
+
+/**
+ * Base class for all API request failures
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} message
+   * @param {{status?: number|null, url?: string|null, retryable?: boolean}} [details]
+   */
+  constructor(message, { status = null, url = null, retryable = false } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.url = url;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * The request never got a response (offline, DNS, CORS, timeout)
+ */
+export class NetworkError extends ApiError {
+  constructor(message, details = {}) {
+    super(message, { ...details, retryable: true });
+    this.name = 'NetworkError';
+  }
+}
+
+/**
+ * The service answered with a 5xx status
+ */
+export class ServiceUnavailableError extends ApiError {
+  /**
+   * @param {string} message
+   * @param {{status?: number, url?: string, retryAfterMs?: number|null}} [details]
+   */
+  constructor(message, { retryAfterMs = null, ...details } = {}) {
+    super(message, { ...details, retryable: true });
+    this.name = 'ServiceUnavailableError';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * The service is rate-limiting us (429)
+ */
+export class RateLimitError extends ApiError {
+  /**
+   * @param {string} message
+   * @param {{status?: number, url?: string, retryAfterMs?: number|null}} [details]
+   */
+  constructor(message, { retryAfterMs = null, ...details } = {}) {
+    super(message, { ...details, retryable: true });
+    this.name = 'RateLimitError';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * The service has no data for the requested location (bad coordinates,
+ * outside coverage)
+ */
+export class InvalidLocationError extends ApiError {
+  constructor(message, details = {}) {
+    super(message, { ...details, retryable: false });
+    this.name = 'InvalidLocationError';
+  }
+}
+
+/**
+ * Whether an error means the service itself is unreachable or failing,
+ * as opposed to a problem with what we asked for
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isServiceOutage(error) {
+  return error instanceof NetworkError
+    || error instanceof ServiceUnavailableError
+    || error instanceof RateLimitError;
+}
@@ -0,0 +1,122 @@
+// Avalanche danger provider (avalanche.org public API)
+// Covers US forecast centers such as NWAC. Zones are looked up by name from
+// the center's map layer, then the zone's forecast gives danger by elevation band.
+
+import { fetchJson } from '../request.js';
+import { InvalidLocationError } from '../errors.js';
+
+const AVALANCHE_BASE_URL = 'https://api.avalanche.org';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {object} AvalancheDay
+ * @property {Date} startTime - Start of the period the rating is valid for
+ * @property {Date} endTime
+ * @property {number|null} upper - Danger above treeline, 1 (Low) to 5 (Extreme)
+ * @property {number|null} middle - Danger near treeline
+ * @property {number|null} lower - Danger below treeline
+ */
+
+/**
+ * @typedef {object} AvalancheForecast
+ * @property {string} center - Forecast center id, e.g. "NWAC"
+ * @property {string} zone - Zone name, e.g. "Stevens Pass"
+ * @property {string|null} link - Forecast page for people
+ * @property {string|null} publishedTime
+ * @property {boolean} offSeason - True when the center is not issuing ratings
+ * @property {Array<AvalancheDay>} days
+ */
+
+/**
+ * Danger level from the API, null for "no rating" (0 or -1)
+ * @param {number|null|undefined} level
+ * @returns {number|null}
+ */
+function toDangerLevel(level) {
+  return typeof level === 'number' && level >= 1 && level <= 5 ? level : null;
+}
+
+/**
+ * Turn the forecast's current/tomorrow ratings into timed periods
+ * A rating is valid until the forecast expires (usually the evening of the
+ * forecast day); tomorrow's runs for the following day.
+ * @param {Array} danger - API danger entries {upper, middle, lower, valid_day}
+ * @param {string|null} expiresTime
+ * @returns {Array<AvalancheDay>}
+ */
+function toDangerDays(danger, expiresTime) {
+  if (!expiresTime) return [];
+  const expires = new Date(expiresTime).getTime();
+  const offsets = { current: -1, tomorrow: 0 };
+
+  return (danger ?? [])
+    .filter(entry => entry.valid_day in offsets)
+    .map(entry => {
+      const start = expires + offsets[entry.valid_day] * DAY_MS;
+      return {
+        startTime: new Date(start),
+        endTime: new Date(start + DAY_MS),
+        upper: toDangerLevel(entry.upper),
+        middle: toDangerLevel(entry.middle),
+        lower: toDangerLevel(entry.lower)
+      };
+    });
+}
+
+/**
+ * Create an avalanche danger provider
+ * @param {{baseUrl?: string}} [options] - baseUrl can point at a local stub for testing
+ * @returns {{id: string, name: string, fetchForecast: function({center: string, zone: string}): Promise<AvalancheForecast>}}
+ */
+export function createAvalancheProvider({ baseUrl = AVALANCHE_BASE_URL } = {}) {
+  // Zone lists per center rarely change, look each up once per session
+  const zoneLists = new Map();
+
+  async function findZone(center, zoneName) {
+    if (!zoneLists.has(center)) {
+      const request = fetchJson(`${baseUrl}/v2/public/products/map-layer/${center}`, {
+        label: 'Failed to fetch avalanche zones',
+        accept: 'application/json'
+      });
+      zoneLists.set(center, request);
+      request.catch(() => zoneLists.delete(center));
+    }
+
+    const layer = await zoneLists.get(center);
+    const feature = (layer.features ?? []).find(({ properties }) =>
+      properties.name?.toLowerCase() === zoneName.toLowerCase());
+    if (!feature) {
+      throw new InvalidLocationError(`No ${center} avalanche zone named "${zoneName}"`);
+    }
+    return feature;
+  }
+
+  return {
+    id: 'avalanche-org',
+    name: 'Avalanche.org',
+
+    async fetchForecast({ center, zone }) {
+      const feature = await findZone(center, zone);
+      const { properties } = feature;
+
+      if (properties.off_season) {
+        return { center, zone, link: properties.link ?? null, publishedTime: null, offSeason: true, days: [] };
+      }
+
+      const params = new URLSearchParams({ type: 'forecast', center_id: center, zone_id: feature.id });
+      const product = await fetchJson(`${baseUrl}/v2/public/product?${params}`, {
+        label: 'Failed to fetch avalanche forecast',
+        accept: 'application/json'
+      });
+
+      return {
+        center,
+        zone,
+        link: properties.link ?? null,
+        publishedTime: product.published_time ?? null,
+        offSeason: false,
+        days: toDangerDays(product.danger, product.expires_time ?? properties.end_date ?? null)
+      };
+    }
+  };
+}
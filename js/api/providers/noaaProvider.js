@@ -0,0 +1,391 @@
+// NOAA National Weather Service forecast provider
+// Combines the hourly forecast with quantitative layers from the raw gridpoint data.
+
+import { readJson, writeJson, removeKey } from '../../storage/localStore.js';
+import { fetchJson } from '../request.js';
+import { ApiError, InvalidLocationError } from '../errors.js';
+
+const NOAA_BASE_URL = 'https://api.weather.gov';
+const KMH_PER_MPH = 1.60934;
+
+/**
+ * @typedef {object} GridPoint
+ * @property {string} gridId - Forecast office ID (e.g. "SEW")
+ * @property {number} gridX
+ * @property {number} gridY
+ * @property {string|null} forecastOffice - Forecast office URL
+ * @property {string|null} timeZone - IANA time zone of the location
+ * @property {string} forecastUrl
+ * @property {string} forecastHourlyUrl
+ * @property {string} forecastGridDataUrl
+ */
+
+/**
+ * Fetch grid point info from NOAA
+ * @param {string} baseUrl - API root, e.g. "https://api.weather.gov"
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Promise<GridPoint>}
+ */
+async function fetchGridPoint(baseUrl, lat, lon) {
+  const url = `${baseUrl}/points/${lat},${lon}`;
+
+  let data;
+  try {
+    data = await fetchJson(url, { label: 'Failed to fetch grid point' });
+  } catch (error) {
+    // NOAA answers 400/404 for coordinates outside its coverage or malformed
+    if (error instanceof ApiError && (error.status === 400 || error.status === 404)) {
+      throw new InvalidLocationError(`No NOAA forecast for ${lat}, ${lon} (${error.status})`, error);
+    }
+    throw error;
+  }
+
+  const { gridId, gridX, gridY } = data.properties;
+  const gridUrl = `${baseUrl}/gridpoints/${gridId}/${gridX},${gridY}`;
+  return {
+    gridId,
+    gridX,
+    gridY,
+    forecastOffice: data.properties.forecastOffice ?? null,
+    timeZone: data.properties.timeZone ?? null,
+    forecastUrl: data.properties.forecast ?? `${gridUrl}/forecast`,
+    forecastHourlyUrl: data.properties.forecastHourly ?? `${gridUrl}/forecast/hourly`,
+    forecastGridDataUrl: data.properties.forecastGridData ?? gridUrl
+  };
+}
+
+/**
+ * Storage key for a location's grid point lookup
+ * @param {number} lat
+ * @param {number} lon
+ * @returns {string}
+ */
+function getGridPointKey(lat, lon) {
+  return `gridpoint:${lat},${lon}`;
+}
+
+/**
+ * Resolve a lat/lon to its NOAA grid point, using the durable lookup cache.
+ * The points-to-grid mapping practically never changes, so once resolved a
+ * location only hits /points again if NWS re-grids its office (see withGridPoint).
+ * @param {string} baseUrl - API root
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Promise<{gridPoint: GridPoint, cached: boolean}>}
+ */
+async function resolveGridPoint(baseUrl, lat, lon) {
+  const key = getGridPointKey(lat, lon);
+
+  const stored = readJson(key);
+  if (stored) {
+    return { gridPoint: stored, cached: true };
+  }
+
+  const gridPoint = await fetchGridPoint(baseUrl, lat, lon);
+  writeJson(key, gridPoint);
+  return { gridPoint, cached: false };
+}
+
+/**
+ * Run gridpoint requests for a location
+ * When NWS re-grids an office the cached grid point's URLs start answering
+ * 404; the cached lookup is then dropped and the location resolved again.
+ * @param {string} baseUrl - API root
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {function(GridPoint): Promise<*>} fn - Makes the requests
+ * @returns {Promise<*>} What fn resolves to
+ */
+async function withGridPoint(baseUrl, lat, lon, fn) {
+  const { gridPoint, cached } = await resolveGridPoint(baseUrl, lat, lon);
+  try {
+    return await fn(gridPoint);
+  } catch (error) {
+    if (!cached || !(error instanceof ApiError) || error.status !== 404) {
+      throw error;
+    }
+    removeKey(getGridPointKey(lat, lon));
+    const resolved = await resolveGridPoint(baseUrl, lat, lon);
+    return fn(resolved.gridPoint);
+  }
+}
+
+/**
+ * Fetch hourly forecast from NOAA
+ * @param {GridPoint} gridPoint
+ * @returns {Promise<Array>} Array of hourly forecast periods
+ */
+async function fetchHourlyForecast(gridPoint) {
+  const data = await fetchJson(gridPoint.forecastHourlyUrl, { label: 'Failed to fetch forecast' });
+  return data.properties.periods;
+}
+
+/**
+ * Fetch raw gridpoint data from NOAA (contains quantitative precip/snow)
+ * @param {GridPoint} gridPoint
+ * @returns {Promise<object>} Raw gridpoint properties
+ */
+async function fetchGridpointData(gridPoint) {
+  const data = await fetchJson(gridPoint.forecastGridDataUrl, { label: 'Failed to fetch gridpoint data' });
+  return data.properties;
+}
+
+/**
+ * Parse an ISO 8601 duration string (e.g., "PT6H", "P1DT12H") into hours
+ * @param {string} duration - ISO 8601 duration
+ * @returns {number} Duration in hours
+ */
+function parseDurationHours(duration) {
+  const match = duration?.match(/^P(?:(\d+)D)?(?:T(?:(\d+)H)?)?/);
+  if (!match) return 1;
+  const hours = parseInt(match[1] || '0', 10) * 24 + parseInt(match[2] || '0', 10);
+  return hours || 1;
+}
+
+/**
+ * Distribute a NOAA time-series into per-hour values.
+ * Each entry has a validTime like "2024-01-15T06:00:00+00:00/PT6H" and a value in mm.
+ * Multi-hour intervals are split evenly across each hour.
+ * @param {Array<{validTime: string, value: number}>} values - NOAA time-series
+ * @returns {Map<number, number>} Map of hour-start timestamp (ms) to value (mm)
+ */
+function distributeTimeSeries(values) {
+  const hourlyMap = new Map();
+  if (!values) return hourlyMap;
+
+  for (const entry of values) {
+    const [isoStart, duration] = entry.validTime.split('/');
+    const start = new Date(isoStart).getTime();
+    const hours = parseDurationHours(duration);
+    const perHourValue = (entry.value ?? 0) / hours;
+
+    for (let h = 0; h < hours; h++) {
+      const hourStart = start + h * 3600000;
+      hourlyMap.set(hourStart, (hourlyMap.get(hourStart) || 0) + perHourValue);
+    }
+  }
+
+  return hourlyMap;
+}
+
+/**
+ * Expand a NOAA time-series of instantaneous values into per-hour values.
+ * Unlike distributeTimeSeries, the value is repeated for every hour in the
+ * interval rather than split across them (e.g. snow level, wind gust).
+ * @param {Array<{validTime: string, value: number}>} values - NOAA time-series
+ * @returns {Map<number, number>} Map of hour-start timestamp (ms) to value
+ */
+function expandTimeSeries(values) {
+  const hourlyMap = new Map();
+  if (!values) return hourlyMap;
+
+  for (const entry of values) {
+    if (entry.value === null || entry.value === undefined) continue;
+
+    const [isoStart, duration] = entry.validTime.split('/');
+    const start = new Date(isoStart).getTime();
+    const hours = parseDurationHours(duration);
+
+    for (let h = 0; h < hours; h++) {
+      hourlyMap.set(start + h * 3600000, entry.value);
+    }
+  }
+
+  return hourlyMap;
+}
+
+/**
+ * Merge snowfall, precip amounts, snow level and wind gusts from gridpoint data into hourly periods
+ * @param {Array} periods - Hourly forecast periods
+ * @param {object} gridData - Raw gridpoint properties
+ */
+function mergePrecipData(periods, gridData) {
+  const snowMap = distributeTimeSeries(gridData.snowfallAmount?.values);
+  const precipMap = distributeTimeSeries(gridData.quantitativePrecipitation?.values);
+  const snowLevelMap = expandTimeSeries(gridData.snowLevel?.values);
+  const gustMap = expandTimeSeries(gridData.windGust?.values);
+
+  for (const period of periods) {
+    const ts = new Date(period.startTime).getTime();
+    period.snowfallAmount = snowMap.get(ts) ?? 0;
+    period.precipAmount = precipMap.get(ts) ?? 0;
+    // Snow level in meters, or null when NOAA has no value for this hour
+    period.snowLevel = snowLevelMap.get(ts) ?? null;
+    // Gridpoint gusts are in km/h, the hourly forecast speaks mph
+    const gust = gustMap.get(ts);
+    period.windGust = gust === undefined ? null : gust / KMH_PER_MPH;
+  }
+}
+
+/**
+ * @typedef {object} WeatherAlert
+ * @property {string} id
+ * @property {string} event - e.g. "Winter Storm Warning"
+ * @property {string} severity - "Extreme", "Severe", "Moderate", "Minor" or "Unknown"
+ * @property {string|null} headline
+ * @property {string|null} description
+ * @property {string|null} instruction
+ * @property {string|null} effective - ISO time the alert was issued for
+ * @property {string|null} onset - ISO time the hazard begins
+ * @property {string|null} expires - ISO time the alert message expires
+ * @property {string|null} ends - ISO time the hazard ends
+ */
+
+/**
+ * Fetch the active NWS alerts covering a point
+ * @param {string} baseUrl
+ * @param {{lat: number, lon: number}} point
+ * @returns {Promise<Array<WeatherAlert>>}
+ */
+async function fetchActiveAlerts(baseUrl, point) {
+  const data = await fetchJson(`${baseUrl}/alerts/active?point=${point.lat},${point.lon}`, {
+    label: 'Failed to fetch alerts'
+  });
+
+  return (data.features ?? []).map(({ properties }) => ({
+    id: properties.id,
+    event: properties.event,
+    severity: properties.severity ?? 'Unknown',
+    headline: properties.headline ?? null,
+    description: properties.description ?? null,
+    instruction: properties.instruction ?? null,
+    effective: properties.effective ?? null,
+    onset: properties.onset ?? null,
+    expires: properties.expires ?? null,
+    ends: properties.ends ?? null
+  }));
+}
+
+/**
+ * Fetch the latest Area Forecast Discussion issued by a forecast office
+ * @param {string} baseUrl
+ * @param {string} officeId - Forecast office / grid ID, e.g. "SEW"
+ * @returns {Promise<{id: string, office: string, issuanceTime: string, productText: string}|null>}
+ *   null when the office has no discussion on file
+ */
+async function fetchLatestDiscussion(baseUrl, officeId) {
+  const list = await fetchJson(`${baseUrl}/products/types/AFD/locations/${officeId}`, {
+    label: 'Failed to fetch forecast discussions',
+    accept: 'application/ld+json'
+  });
+
+  const latest = list['@graph']?.[0];
+  if (!latest) return null;
+
+  const product = await fetchJson(`${baseUrl}/products/${latest.id}`, {
+    label: 'Failed to fetch forecast discussion',
+    accept: 'application/ld+json'
+  });
+
+  return {
+    id: product.id,
+    office: officeId,
+    issuanceTime: product.issuanceTime ?? latest.issuanceTime,
+    productText: product.productText ?? ''
+  };
+}
+
+/**
+ * @typedef {object} StationObservation
+ * @property {number} time - ms
+ * @property {number|null} temperature - Fahrenheit
+ * @property {number|null} snowDepth - mm
+ */
+
+/**
+ * Find the observation station nearest a point, using the durable lookup cache
+ * @param {string} baseUrl
+ * @param {{lat: number, lon: number}} point
+ * @returns {Promise<{id: string, name: string}>}
+ */
+async function resolveNearestStation(baseUrl, point) {
+  const key = `station:${point.lat},${point.lon}`;
+
+  const stored = readJson(key);
+  if (stored) {
+    return stored;
+  }
+
+  const data = await withGridPoint(baseUrl, point.lat, point.lon, ({ gridId, gridX, gridY }) =>
+    fetchJson(`${baseUrl}/gridpoints/${gridId}/${gridX},${gridY}/stations`, {
+      label: 'Failed to fetch observation stations'
+    }));
+
+  // Stations come back nearest first
+  const nearest = data.features?.[0]?.properties;
+  if (!nearest) {
+    throw new InvalidLocationError(`No NWS observation station near ${point.lat}, ${point.lon}`);
+  }
+
+  const station = { id: nearest.stationIdentifier, name: nearest.name };
+  writeJson(key, station);
+  return station;
+}
+
+/**
+ * Fetch a station's observations over a time range
+ * NWS stations report temperature but not snow depth.
+ * @param {string} baseUrl
+ * @param {string} stationId - e.g. "KSMP"
+ * @param {Date} start
+ * @param {Date} end
+ * @returns {Promise<Array<StationObservation>>}
+ */
+async function fetchStationObservations(baseUrl, stationId, start, end) {
+  const params = new URLSearchParams({ start: start.toISOString(), end: end.toISOString() });
+  const data = await fetchJson(`${baseUrl}/stations/${stationId}/observations?${params}`, {
+    label: 'Failed to fetch observations'
+  });
+
+  return (data.features ?? []).map(({ properties }) => {
+    const celsius = properties.temperature?.value ?? null;
+    return {
+      time: new Date(properties.timestamp).getTime(),
+      temperature: celsius === null ? null : celsius * 9 / 5 + 32,
+      snowDepth: null
+    };
+  });
+}
+
+/**
+ * Create a NOAA forecast provider
+ * @param {{baseUrl?: string}} [options] - baseUrl can point at a local stub for testing
+ * @returns {import('../weatherApi.js').ForecastProvider}
+ */
+export function createNoaaProvider({ baseUrl = NOAA_BASE_URL } = {}) {
+  return {
+    id: 'noaa',
+    name: 'NOAA National Weather Service',
+
+    fetchForecast(point) {
+      // Grid point usually comes from the durable lookup cache
+      return withGridPoint(baseUrl, point.lat, point.lon, async gridPoint => {
+        // Fetch hourly forecast and raw gridpoint data in parallel
+        const [periods, gridData] = await Promise.all([
+          fetchHourlyForecast(gridPoint),
+          fetchGridpointData(gridPoint)
+        ]);
+
+        // Merge snowfall, precip amounts, snow level and gusts into periods
+        mergePrecipData(periods, gridData);
+
+        return { periods, meta: gridPoint };
+      });
+    },
+
+    fetchAlerts(point) {
+      return fetchActiveAlerts(baseUrl, point);
+    },
+
+    fetchDiscussion(officeId) {
+      return fetchLatestDiscussion(baseUrl, officeId);
+    },
+
+    async fetchObservations(point, start, end) {
+      const station = await resolveNearestStation(baseUrl, point);
+      const observations = await fetchStationObservations(baseUrl, station.id, start, end);
+      return { station, observations };
+    }
+  };
+}
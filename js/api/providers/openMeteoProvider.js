@@ -0,0 +1,166 @@
+// Open-Meteo forecast provider
+// Global coverage, used for resorts outside NWS coverage (e.g. British Columbia).
+// Hourly arrays are normalized into NOAA-shaped periods.
+
+import { fetchJson } from '../request.js';
+import { ApiError, InvalidLocationError } from '../errors.js';
+
+const OPEN_METEO_BASE_URL = 'https://api.open-meteo.com';
+const FORECAST_DAYS = 7;
+const SNOW_LEVEL_OFFSET = 300; // m, snow typically reaches ~300m below the freezing level
+
+const HOURLY_FIELDS = [
+  'temperature_2m',
+  'precipitation',
+  'snowfall',
+  'precipitation_probability',
+  'weather_code',
+  'wind_speed_10m',
+  'wind_direction_10m',
+  'wind_gusts_10m',
+  'freezing_level_height'
+];
+
+const COMPASS_POINTS = [
+  'N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE',
+  'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'
+];
+
+/**
+ * Convert a wind direction in degrees to a compass point
+ * @param {number|null} degrees
+ * @returns {string|null} e.g., "SW"
+ */
+function toCompass(degrees) {
+  if (degrees === null || degrees === undefined) return null;
+  return COMPASS_POINTS[Math.round(degrees / 22.5) % 16];
+}
+
+/**
+ * Describe a WMO weather code in NWS shortForecast wording
+ * @param {number|null} code - WMO weather interpretation code
+ * @returns {string|null}
+ */
+function describeWeatherCode(code) {
+  if (code === null || code === undefined) return null;
+  if (code === 0) return 'Clear';
+  if (code === 1) return 'Mostly Clear';
+  if (code === 2) return 'Partly Cloudy';
+  if (code === 3) return 'Cloudy';
+  if (code === 45 || code === 48) return 'Fog';
+  if (code >= 51 && code <= 55) return 'Light Rain';
+  if (code === 56 || code === 57 || code === 66 || code === 67) return 'Freezing Rain';
+  if (code === 61) return 'Light Rain';
+  if (code === 63) return 'Rain';
+  if (code === 65) return 'Heavy Rain';
+  if (code === 71) return 'Light Snow';
+  if (code === 73 || code === 77) return 'Snow';
+  if (code === 75) return 'Heavy Snow';
+  if (code >= 80 && code <= 82) return 'Rain Showers';
+  if (code === 85 || code === 86) return 'Snow Showers';
+  if (code >= 95) return 'Thunderstorms';
+  return null;
+}
+
+/**
+ * Build the forecast request URL for a point
+ * @param {string} baseUrl
+ * @param {{lat: number, lon: number, elevation?: number|null}} point
+ * @param {string|null} model - Open-Meteo model id, or null for its best match
+ * @returns {string}
+ */
+function buildForecastUrl(baseUrl, point, model) {
+  const params = new URLSearchParams({
+    latitude: point.lat,
+    longitude: point.lon,
+    hourly: HOURLY_FIELDS.join(','),
+    temperature_unit: 'fahrenheit',
+    wind_speed_unit: 'mph',
+    precipitation_unit: 'mm',
+    timeformat: 'unixtime',
+    timezone: 'auto',
+    forecast_days: FORECAST_DAYS
+  });
+
+  if (model) {
+    params.set('models', model);
+  }
+
+  // Downscale to the point's own elevation instead of the model terrain
+  if (point.elevation !== null && point.elevation !== undefined) {
+    params.set('elevation', Math.round(point.elevation * 0.3048));
+  }
+
+  return `${baseUrl}/v1/forecast?${params}`;
+}
+
+/**
+ * Convert Open-Meteo hourly arrays into NOAA-shaped hourly periods
+ * Open-Meteo starts at local midnight, so hours that already ended are dropped
+ * to match NOAA's hourly forecast, which starts at the current hour.
+ * @param {object} hourly - Open-Meteo `hourly` object of parallel arrays
+ * @returns {Array} Normalized periods
+ */
+function normalizeHourly(hourly) {
+  const now = Date.now();
+
+  const periods = hourly.time.map((time, i) => {
+    const value = field => hourly[field]?.[i] ?? null;
+    const windSpeed = value('wind_speed_10m');
+    const snowfall = value('snowfall');
+    const freezingLevel = value('freezing_level_height');
+
+    return {
+      number: i + 1,
+      startTime: new Date(time * 1000).toISOString(),
+      endTime: new Date((time + 3600) * 1000).toISOString(),
+      temperature: value('temperature_2m'),
+      temperatureUnit: 'F',
+      windSpeed: windSpeed === null ? null : `${Math.round(windSpeed)} mph`,
+      windDirection: toCompass(value('wind_direction_10m')),
+      windGust: value('wind_gusts_10m'),
+      shortForecast: describeWeatherCode(value('weather_code')),
+      probabilityOfPrecipitation: { unitCode: 'wmoUnit:percent', value: value('precipitation_probability') },
+      snowfallAmount: snowfall === null ? 0 : snowfall * 10, // cm to mm
+      precipAmount: value('precipitation') ?? 0,
+      snowLevel: freezingLevel === null ? null : Math.max(0, freezingLevel - SNOW_LEVEL_OFFSET)
+    };
+  });
+
+  return periods.filter(period => new Date(period.endTime).getTime() > now);
+}
+
+/**
+ * Create an Open-Meteo forecast provider
+ * Without a model Open-Meteo blends the best models for the location; with one
+ * (e.g. "gfs_seamless", "ecmwf_ifs025") the provider id becomes "open-meteo:<model>".
+ * @param {{baseUrl?: string, model?: string|null}} [options] - baseUrl can point at a local stub for testing
+ * @returns {import('../weatherApi.js').ForecastProvider}
+ */
+export function createOpenMeteoProvider({ baseUrl = OPEN_METEO_BASE_URL, model = null } = {}) {
+  return {
+    id: model ? `open-meteo:${model}` : 'open-meteo',
+    name: model ? `Open-Meteo (${model})` : 'Open-Meteo',
+
+    async fetchForecast(point) {
+      let data;
+      try {
+        data = await fetchJson(buildForecastUrl(baseUrl, point, model), {
+          label: 'Failed to fetch Open-Meteo forecast',
+          accept: 'application/json'
+        });
+      } catch (error) {
+        // Open-Meteo answers 400 for out-of-range coordinates
+        if (error instanceof ApiError && error.status === 400) {
+          throw new InvalidLocationError(`No Open-Meteo forecast for ${point.lat}, ${point.lon}`, error);
+        }
+        throw error;
+      }
+
+      return {
+        periods: normalizeHourly(data.hourly),
+        meta: { timeZone: data.timezone ?? null }
+      };
+    }
+  };
+}
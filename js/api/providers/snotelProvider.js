@@ -0,0 +1,87 @@
+// SNOTEL observation provider (NRCS Air and Water Database REST API)
+// Hourly snow depth and air temperature from automated snow sites, for
+// verifying snowfall forecasts where NWS stations report no snow.
+
+import { fetchJson } from '../request.js';
+import { InvalidLocationError } from '../errors.js';
+
+const AWDB_BASE_URL = 'https://wcc.sc.egov.usda.gov/awdbRestApi';
+const MM_PER_INCH = 25.4;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Format an instant as AWDB wants it: "YYYY-MM-DD HH:mm" in the station's
+ * local standard time
+ * @param {Date} date
+ * @param {number} utcOffset - Hours, e.g. -8 for Pacific standard time
+ * @returns {string}
+ */
+function formatAwdbDate(date, utcOffset) {
+  return new Date(date.getTime() + utcOffset * HOUR_MS).toISOString().slice(0, 16).replace('T', ' ');
+}
+
+/**
+ * Parse an AWDB "YYYY-MM-DD HH:mm" local standard time into ms
+ * @param {string} value
+ * @param {number} utcOffset - Hours
+ * @returns {number}
+ */
+function parseAwdbDate(value, utcOffset) {
+  return new Date(`${value.replace(' ', 'T')}:00Z`).getTime() - utcOffset * HOUR_MS;
+}
+
+/**
+ * Create a SNOTEL observation provider
+ * @param {{baseUrl?: string}} [options] - baseUrl can point at a local stub for testing
+ * @returns {{id: string, name: string, fetchObservations: function(string, Date, Date, number=): Promise<{station: object, observations: Array}>}}
+ */
+export function createSnotelProvider({ baseUrl = AWDB_BASE_URL } = {}) {
+  return {
+    id: 'snotel',
+    name: 'NRCS SNOTEL',
+
+    /**
+     * @param {string} stationTriplet - e.g. "791:WA:SNTL"
+     * @param {Date} start
+     * @param {Date} end
+     * @param {number} [utcOffset=-8] - Station's standard time offset; AWDB ignores daylight saving
+     */
+    async fetchObservations(stationTriplet, start, end, utcOffset = -8) {
+      const params = new URLSearchParams({
+        stationTriplets: stationTriplet,
+        elements: 'SNWD,TOBS',
+        duration: 'HOURLY',
+        beginDate: formatAwdbDate(start, utcOffset),
+        endDate: formatAwdbDate(end, utcOffset)
+      });
+      const data = await fetchJson(`${baseUrl}/services/v1/data?${params}`, {
+        label: 'Failed to fetch SNOTEL observations',
+        accept: 'application/json'
+      });
+
+      const station = data.find(entry => entry.stationTriplet === stationTriplet);
+      if (!station) {
+        throw new InvalidLocationError(`No SNOTEL station ${stationTriplet}`);
+      }
+
+      // Elements come as separate series; merge them by time
+      const byTime = new Map();
+      (station.data ?? []).forEach(({ stationElement, values }) => {
+        const field = stationElement?.elementCode === 'SNWD' ? 'snowDepth' : 'temperature';
+        (values ?? []).forEach(({ date, value }) => {
+          const time = parseAwdbDate(date, utcOffset);
+          const observation = byTime.get(time) ?? { time, temperature: null, snowDepth: null };
+          if (value !== null && value !== undefined) {
+            observation[field] = field === 'snowDepth' ? value * MM_PER_INCH : value;
+          }
+          byTime.set(time, observation);
+        });
+      });
+
+      return {
+        station: { id: stationTriplet, name: `SNOTEL ${stationTriplet}` },
+        observations: [...byTime.values()].sort((a, b) => a.time - b.time)
+      };
+    }
+  };
+}
@@ -0,0 +1,84 @@
+// Mountain pass conditions provider (WSDOT Traveler Information API)
+// One request returns every pass WSDOT reports on; resorts pick theirs by id.
+// Requests need a free access code, set in config/accessCodes.js.
+
+import { fetchJson } from '../request.js';
+
+const WSDOT_BASE_URL = 'https://wsdot.wa.gov/Traffic/api';
+const PASSES_PATH = '/MountainPassConditions/MountainPassConditionsREST.svc/GetMountainPassConditionsAsJson';
+
+/**
+ * @typedef {object} PassRestriction
+ * @property {string} direction - e.g. "Eastbound"
+ * @property {string} text - e.g. "Traction tires advised, oversize vehicles prohibited."
+ */
+
+/**
+ * @typedef {object} PassConditions
+ * @property {number} id - WSDOT MountainPassId
+ * @property {string} name - e.g. "Snoqualmie Pass I-90"
+ * @property {string|null} roadCondition
+ * @property {string|null} weatherCondition
+ * @property {number|null} temperature - Fahrenheit
+ * @property {Array<PassRestriction>} restrictions - One per travel direction
+ * @property {boolean} closed - True when the road or any direction is closed
+ * @property {Date|null} updated
+ */
+
+/**
+ * Parse a WCF JSON date such as "/Date(1702310400000-0800)/"
+ * @param {string|null} value
+ * @returns {Date|null}
+ */
+function parseWcfDate(value) {
+  const match = value?.match(/\/Date\((-?\d+)/);
+  return match ? new Date(Number(match[1])) : null;
+}
+
+/**
+ * Convert a WSDOT pass entry into PassConditions
+ * @param {object} pass - MountainPassConditions entry
+ * @returns {PassConditions}
+ */
+function normalizePass(pass) {
+  const restrictions = [pass.RestrictionOne, pass.RestrictionTwo]
+    .filter(restriction => restriction?.RestrictionText)
+    .map(restriction => ({
+      direction: restriction.TravelDirection || 'Both directions',
+      text: restriction.RestrictionText.trim()
+    }));
+
+  const isClosed = text => /\bclosed\b/i.test(text ?? '');
+
+  return {
+    id: pass.MountainPassId,
+    name: pass.MountainPassName,
+    roadCondition: pass.RoadCondition?.trim() || null,
+    weatherCondition: pass.WeatherCondition?.trim() || null,
+    temperature: pass.TemperatureInFahrenheit ?? null,
+    restrictions,
+    closed: isClosed(pass.RoadCondition) || restrictions.some(({ text }) => isClosed(text)),
+    updated: parseWcfDate(pass.DateUpdated)
+  };
+}
+
+/**
+ * Create a WSDOT mountain pass conditions provider
+ * @param {{accessCode: string, baseUrl?: string}} options - baseUrl can point at a local stub for testing
+ * @returns {{id: string, name: string, fetchPasses: function(): Promise<Array<PassConditions>>}}
+ */
+export function createWsdotProvider({ accessCode, baseUrl = WSDOT_BASE_URL }) {
+  return {
+    id: 'wsdot',
+    name: 'WSDOT',
+
+    async fetchPasses() {
+      const params = new URLSearchParams({ AccessCode: accessCode });
+      const passes = await fetchJson(`${baseUrl}${PASSES_PATH}?${params}`, {
+        label: 'Failed to fetch pass conditions',
+        accept: 'application/json'
+      });
+      return passes.map(normalizePass);
+    }
+  };
+}
@@ -0,0 +1,215 @@
+// Shared HTTP layer for weather API requests
+// Adds timeouts, retries with jittered exponential backoff, Retry-After
+// support, a per-host concurrency limit and typed errors on top of fetch.
+
+import {
+  ApiError,
+  NetworkError,
+  RateLimitError,
+  ServiceUnavailableError
+} from './errors.js';
+
+const USER_AGENT = 'WashingtonSkiWeather/1.0 (ski-weather-app)';
+const DEFAULT_TIMEOUT = 15 * 1000; // 15 seconds
+const DEFAULT_RETRIES = 3;
+const BACKOFF_BASE = 500; // ms, doubled on every attempt
+const BACKOFF_MAX = 30 * 1000; // never wait longer than 30 seconds between attempts
+const MAX_CONCURRENT_PER_HOST = 4; // keep api.weather.gov from rate-limiting us
+
+// Requests in flight and waiting per host
+const hostSlots = new Map();
+
+/**
+ * Wait for the given number of milliseconds
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Backoff before the next attempt: exponential with full jitter
+ * @param {number} attempt - Zero-based attempt that just failed
+ * @returns {number} Delay in ms
+ */
+function getBackoffDelay(attempt) {
+  const ceiling = Math.min(BACKOFF_MAX, BACKOFF_BASE * 2 ** attempt);
+  return Math.random() * ceiling;
+}
+
+/**
+ * Wait for a free request slot for a host
+ * @param {string} host
+ * @returns {Promise<void>}
+ */
+async function acquireSlot(host) {
+  const slots = hostSlots.get(host) ?? { active: 0, waiting: [] };
+  hostSlots.set(host, slots);
+
+  if (slots.active < MAX_CONCURRENT_PER_HOST) {
+    slots.active++;
+    return;
+  }
+  // The releasing request hands its slot straight over
+  await new Promise(resolve => slots.waiting.push(resolve));
+}
+
+/**
+ * Give a host's request slot to the next waiting request, or free it
+ * @param {string} host
+ */
+function releaseSlot(host) {
+  const slots = hostSlots.get(host);
+  const next = slots.waiting.shift();
+  if (next) {
+    next();
+  } else {
+    slots.active--;
+  }
+}
+
+/**
+ * Parse a Retry-After header (delta seconds or HTTP date) into ms
+ * @param {string|null} value
+ * @returns {number|null}
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Turn a non-OK response into a typed error
+ * @param {Response} response
+ * @param {string} url
+ * @param {string} label - Message prefix, e.g. "Failed to fetch forecast"
+ * @returns {ApiError}
+ */
+function createResponseError(response, url, label) {
+  const message = `${label}: ${response.status} ${response.statusText}`;
+  const details = { status: response.status, url };
+
+  // api.weather.gov sends Retry-After with 503 as well as 429
+  if (response.status === 429) {
+    const retryAfterMs = parseRetryAfter(response.headers?.get('Retry-After'));
+    return new RateLimitError(message, { ...details, retryAfterMs });
+  }
+  if (response.status >= 500) {
+    const retryAfterMs = parseRetryAfter(response.headers?.get('Retry-After'));
+    return new ServiceUnavailableError(message, { ...details, retryAfterMs });
+  }
+  return new ApiError(message, details);
+}
+
+/**
+ * Make a single request with a timeout, once a slot for its host is free
+ * The timeout starts when the request is sent, not while it waits for a slot.
+ * @param {string} url
+ * @param {object} headers
+ * @param {number} timeout - ms
+ * @param {string} label
+ * @returns {Promise<*>} Parsed JSON body
+ */
+async function requestOnce(url, headers, timeout, label) {
+  const { host } = new URL(url, globalThis.location?.href);
+  await acquireSlot(host);
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    let response;
+    try {
+      response = await fetch(url, { headers, signal: controller.signal });
+    } catch (error) {
+      const reason = error.name === 'AbortError' ? `timed out after ${timeout / 1000}s` : error.message;
+      throw new NetworkError(`${label}: ${reason}`, { url });
+    }
+
+    if (!response.ok) {
+      throw createResponseError(response, url, label);
+    }
+
+    return await response.json();
+  } finally {
+    clearTimeout(timer);
+    releaseSlot(host);
+  }
+}
+
+/**
+ * Fetch a JSON document, retrying transient failures
+ * @param {string} url
+ * @param {object} [options]
+ * @param {string} [options.label='Request failed'] - Prefix for error messages
+ * @param {string} [options.accept='application/geo+json'] - Accept header
+ * @param {number} [options.timeout] - Per-attempt timeout in ms
+ * @param {number} [options.retries] - Retries after the first attempt
+ * @returns {Promise<*>} Parsed JSON body
+ * @throws {ApiError} Typed error from the last attempt
+ */
+export async function fetchJson(url, options = {}) {
+  const {
+    label = 'Request failed',
+    accept = 'application/geo+json',
+    timeout = DEFAULT_TIMEOUT,
+    retries = DEFAULT_RETRIES
+  } = options;
+
+  const headers = {
+    'User-Agent': USER_AGENT,
+    'Accept': accept
+  };
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await requestOnce(url, headers, timeout, label);
+    } catch (error) {
+      if (!(error instanceof ApiError) || !error.retryable || attempt >= retries) {
+        throw error;
+      }
+
+      // Honor the server's Retry-After when it sent one, otherwise back off
+      const wait = error.retryAfterMs !== undefined && error.retryAfterMs !== null
+        ? Math.min(error.retryAfterMs, BACKOFF_MAX)
+        : getBackoffDelay(attempt);
+      console.warn(`${error.message}, retrying in ${Math.round(wait)}ms`);
+      await delay(wait);
+    }
+  }
+}
+
+/**
+ * Map over items with at most `limit` calls in flight at once
+ * @param {Array} items
+ * @param {number} limit - Maximum concurrent calls
+ * @param {function(*, number): Promise<*>} fn - Called with (item, index)
+ * @returns {Promise<Array<PromiseSettledResult>>} Settled results, in input order
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await fn(items[index], index) };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
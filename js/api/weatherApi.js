@@ -1,203 +1,547 @@
-// NOAA Weather API integration
+// Forecast fetching, caching and provider dispatch
+// Each resort picks a provider (NOAA by default); all providers return the same
+// normalized hourly periods so the transformer does not care where data came from.
+
+import { getResortPoints } from '../config/resorts.js';
+import { accessCodes } from '../config/accessCodes.js';
+import { readJson, writeJson } from '../storage/localStore.js';
+import {
+  loadForecastHistory,
+  saveForecastHistory,
+  recordSnapshot,
+  OBSERVATION_WINDOW
+} from '../storage/forecastHistory.js';
+import {
+  selectForecastHours,
+  pairObservations,
+  addToDays,
+  summarizeBias
+} from '../data/forecastVerification.js';
+import { mapWithConcurrency } from './request.js';
+import { createNoaaProvider } from './providers/noaaProvider.js';
+import { createOpenMeteoProvider } from './providers/openMeteoProvider.js';
+import { createAvalancheProvider } from './providers/avalancheProvider.js';
+import { createWsdotProvider } from './providers/wsdotProvider.js';
+import { createSnotelProvider } from './providers/snotelProvider.js';
 
-const USER_AGENT = 'WashingtonSkiWeather/1.0 (ski-weather-app)';
 const CACHE_DURATION = 10 * 60 * 1000; // 10 minutes
+const STORED_MAX_AGE = 3 * 24 * 60 * 60 * 1000; // 3 days, older forecasts are not worth showing
+const MAX_CONCURRENT_RESORTS = 2; // resorts fetched side by side; request.js caps requests per host
+const DEFAULT_PROVIDER = 'noaa';
 
-// Simple in-memory cache
+/**
+ * @typedef {object} ForecastProvider
+ * @property {string} id - Key used in resorts.js, e.g. "noaa"
+ * @property {string} name - Display name for attribution
+ * @property {function(object): Promise<{periods: Array, meta: object}>} fetchForecast
+ *   Fetch hourly periods for a point. Periods use the NOAA hourly shape
+ *   (startTime, endTime, temperature in F, windSpeed "15 mph", windDirection,
+ *   shortForecast, probabilityOfPrecipitation) plus snowfallAmount and
+ *   precipAmount in mm, snowLevel in m and windGust in mph. meta carries
+ *   location details such as timeZone.
+ * @property {function(object): Promise<Array>} [fetchAlerts]
+ *   Fetch active weather alerts for a point, if the provider has them (NOAA only)
+ * @property {function(string): Promise<object|null>} [fetchDiscussion]
+ *   Fetch the latest forecast discussion of a forecast office (NOAA only)
+ * @property {function(object, Date, Date): Promise<{station: object, observations: Array}>} [fetchObservations]
+ *   Fetch observations from the station nearest a point (NOAA only)
+ */
+
+/**
+ * @typedef {object} PointForecast
+ * @property {object} point - Forecast point {id, name, lat, lon, elevation}
+ * @property {object|null} meta - Provider location details (timeZone, NOAA gridId), if known
+ * @property {Array} periods - Hourly periods
+ * @property {string|null} error
+ * @property {string|null} errorType - Error class name, e.g. "ServiceUnavailableError"
+ * @property {boolean} stale - True when periods came from storage instead of the provider
+ * @property {number|null} fetchedAt - When the periods were fetched (ms)
+ */
+
+const providers = new Map(
+  [createNoaaProvider(), createOpenMeteoProvider()].map(provider => [provider.id, provider])
+);
+
+/**
+ * Look up the provider a resort or comparison model should use
+ * Model-specific Open-Meteo providers ("open-meteo:<model>") are created on first use.
+ * @param {string} [id] - Provider id from resorts.js or models.js
+ * @returns {ForecastProvider}
+ */
+function getProvider(id = DEFAULT_PROVIDER) {
+  if (!providers.has(id) && id.startsWith('open-meteo:')) {
+    const model = id.slice('open-meteo:'.length);
+    providers.set(id, createOpenMeteoProvider({ model }));
+  }
+
+  const provider = providers.get(id);
+  if (!provider) {
+    throw new Error(`Unknown forecast provider: ${id}`);
+  }
+  return provider;
+}
+
+const avalancheProvider = createAvalancheProvider();
+// WSDOT rejects requests without an access code; without one there is no pass row
+const passProvider = accessCodes.wsdot ? createWsdotProvider({ accessCode: accessCodes.wsdot }) : null;
+const snotelProvider = createSnotelProvider();
+
+// In-memory cache for fresh data, backed by localStorage for the last good
+// forecast so it survives reloads and can be shown while offline
 const cache = new Map();
 
-function getCacheKey(lat, lon) {
-  return `${lat},${lon}`;
+function getCacheKey(provider, lat, lon) {
+  return `${provider.id}:${lat},${lon}`;
 }
 
 function getCachedData(key) {
   const cached = cache.get(key);
   if (cached && Date.now() - cached.timestamp < CACHE_DURATION) {
-    return cached.data;
+    return cached;
   }
   return null;
 }
 
-function setCachedData(key, data) {
-  cache.set(key, { data, timestamp: Date.now() });
+/**
+ * Cache fresh data in memory and, unless told not to, in persistent storage
+ * @param {string} key
+ * @param {Array} data
+ * @param {object|null} meta
+ * @param {boolean} persist - Whether to keep it as the offline fallback
+ */
+function setCachedData(key, data, meta, persist) {
+  const entry = { data, meta, timestamp: Date.now() };
+  cache.set(key, entry);
+  if (persist) {
+    writeJson(`forecast:${key}`, entry);
+  }
+}
+
+/**
+ * Get the last good forecast from persistent storage, with elapsed hours dropped
+ * @param {string} key
+ * @returns {{data: Array, meta: object|null, timestamp: number}|null}
+ */
+function getStoredData(key) {
+  const stored = readJson(`forecast:${key}`);
+  if (!stored || Date.now() - stored.timestamp > STORED_MAX_AGE) {
+    return null;
+  }
+
+  const now = Date.now();
+  const data = stored.data.filter(period => new Date(period.endTime).getTime() > now);
+  return data.length > 0 ? { data, meta: stored.meta ?? null, timestamp: stored.timestamp } : null;
 }
 
 /**
- * Fetch grid point info from NOAA
- * @param {number} lat - Latitude
- * @param {number} lon - Longitude
- * @returns {Promise<{gridId: string, gridX: number, gridY: number}>}
+ * Fetch weather forecast for a single forecast point
+ * Falls back to the last stored forecast (flagged stale) when the provider cannot be reached.
+ * @param {ForecastProvider} provider
+ * @param {{id: string, name: string, lat: number, lon: number}} point
+ * @param {{persist?: boolean}} [options] - persist: keep the forecast in storage
+ *   as the offline fallback; comparison models leave it off so they do not
+ *   crowd the resorts' own forecasts out of the storage quota
+ * @returns {Promise<PointForecast>}
  */
-async function fetchGridPoint(lat, lon) {
-  const url = `https://api.weather.gov/points/${lat},${lon}`;
+async function fetchPointForecast(provider, point, { persist = true } = {}) {
+  const cacheKey = getCacheKey(provider, point.lat, point.lon);
+
+  // Check cache first
+  const cached = getCachedData(cacheKey);
+  if (cached) {
+    return { point, meta: cached.meta, periods: cached.data, error: null, errorType: null, stale: false, fetchedAt: cached.timestamp };
+  }
+
+  try {
+    const { periods, meta } = await provider.fetchForecast(point);
+
+    // Cache the result
+    setCachedData(cacheKey, periods, meta, persist);
 
-  const response = await fetch(url, {
-    headers: {
-      'User-Agent': USER_AGENT,
-      'Accept': 'application/geo+json'
+    return { point, meta, periods, error: null, errorType: null, stale: false, fetchedAt: Date.now() };
+  } catch (error) {
+    console.error(`Error fetching forecast for ${point.name}:`, error);
+
+    const stored = getStoredData(cacheKey);
+    if (stored) {
+      return { point, meta: stored.meta, periods: stored.data, error: null, errorType: null, stale: true, fetchedAt: stored.timestamp };
     }
-  });
+    return { point, meta: null, periods: [], error: error.message, errorType: error.name, stale: false, fetchedAt: null };
+  }
+}
 
-  if (!response.ok) {
-    throw new Error(`Failed to fetch grid point: ${response.status} ${response.statusText}`);
+/**
+ * Fetch weather forecast for a resort, one request chain per forecast point
+ * @param {{id: string, name: string, points: Array}} resort
+ * @returns {Promise<{resort: object, points: Array<PointForecast>, error: string|null, errorType: string|null}>}
+ */
+export async function fetchResortForecast(resort) {
+  const provider = getProvider(resort.provider);
+  const points = await Promise.all(
+    getResortPoints(resort).map(point => fetchPointForecast(provider, point))
+  );
+
+  // Keep a snapshot of each fresh primary forecast for verification later
+  const [primary] = points;
+  if (!primary.error && !primary.stale) {
+    recordSnapshot(resort.id, primary.periods, primary.fetchedAt, primary.meta?.timeZone ?? null);
   }
 
-  const data = await response.json();
+  // The resort only fails as a whole when none of its points loaded
+  const failed = points.filter(p => p.error);
+  const allFailed = failed.length === points.length;
+
   return {
-    gridId: data.properties.gridId,
-    gridX: data.properties.gridX,
-    gridY: data.properties.gridY
+    resort,
+    points,
+    error: allFailed ? failed[0].error : null,
+    errorType: allFailed ? failed[0].errorType : null
   };
 }
 
 /**
- * Fetch hourly forecast from NOAA
- * @param {string} gridId - Grid office ID
- * @param {number} gridX - Grid X coordinate
- * @param {number} gridY - Grid Y coordinate
- * @returns {Promise<Array>} Array of hourly forecast periods
+ * Get the comparison models that cover a resort
+ * Models limited to the contiguous US are skipped for resorts outside NWS coverage.
+ * @param {object} resort
+ * @param {Array} models - Comparison model definitions from models.js
+ * @returns {Array}
  */
-async function fetchHourlyForecast(gridId, gridX, gridY) {
-  const url = `https://api.weather.gov/gridpoints/${gridId}/${gridX},${gridY}/forecast/hourly`;
+function getModelsForResort(resort, models) {
+  const inNwsCoverage = (resort.provider ?? DEFAULT_PROVIDER) === 'noaa';
+  return models.filter(model => inNwsCoverage || !model.conusOnly);
+}
 
-  const response = await fetch(url, {
-    headers: {
-      'User-Agent': USER_AGENT,
-      'Accept': 'application/geo+json'
-    }
+/**
+ * Fetch every comparison model's forecast for each point of a resort
+ * @param {object} resort
+ * @param {Array} models - Comparison model definitions from models.js
+ * @returns {Promise<{resort: object, models: Array<{model: object, points: Array<PointForecast>}>}>}
+ */
+async function fetchResortModelForecasts(resort, models) {
+  const resortModels = getModelsForResort(resort, models);
+
+  const modelResults = await Promise.all(resortModels.map(async model => {
+    const provider = getProvider(model.provider);
+    const points = await Promise.all(
+      getResortPoints(resort).map(point => fetchPointForecast(provider, point, { persist: false }))
+    );
+    return { model, points };
+  }));
+
+  return { resort, models: modelResults };
+}
+
+/**
+ * Fetch forecasts from several models for all resorts, for side-by-side comparison
+ * @param {Array} resorts - Array of resort objects
+ * @param {Array} models - Comparison model definitions from models.js
+ * @returns {Promise<Array>} One {resort, models} entry per resort, in input order
+ */
+export async function fetchModelForecasts(resorts, models) {
+  const results = await mapWithConcurrency(
+    resorts,
+    MAX_CONCURRENT_RESORTS,
+    resort => fetchResortModelForecasts(resort, models)
+  );
+
+  return results.map((result, index) => (
+    result.status === 'fulfilled' ? result.value : { resort: resorts[index], models: [] }
+  ));
+}
+
+/**
+ * Get the last stored forecasts for all resorts without touching the network.
+ * Used to render immediately on page load while fresh data is fetched.
+ * @param {Array} resorts - Array of resort objects
+ * @returns {Array} Array of forecast results, every point flagged stale
+ */
+export function getStoredForecasts(resorts) {
+  return resorts.map(resort => {
+    const provider = getProvider(resort.provider);
+    const points = getResortPoints(resort).map(point => {
+      const stored = getStoredData(getCacheKey(provider, point.lat, point.lon));
+      if (!stored) {
+        return { point, meta: null, periods: [], error: 'No saved forecast', errorType: null, stale: false, fetchedAt: null };
+      }
+      return { point, meta: stored.meta, periods: stored.data, error: null, errorType: null, stale: true, fetchedAt: stored.timestamp };
+    });
+
+    const failed = points.filter(p => p.error);
+    const error = failed.length === points.length ? failed[0].error : null;
+
+    return { resort, points, error, errorType: null };
   });
+}
+
+// Alerts are only kept in memory: an old alert is worse than none
+const alertCache = new Map();
+
+/**
+ * Fetch active alerts for one forecast point
+ * Alerts are a secondary feature, so failures are logged and treated as no alerts.
+ * @param {ForecastProvider} provider
+ * @param {{name: string, lat: number, lon: number}} point
+ * @returns {Promise<Array>}
+ */
+async function fetchPointAlerts(provider, point) {
+  const cacheKey = getCacheKey(provider, point.lat, point.lon);
+  const cached = alertCache.get(cacheKey);
+  if (cached && Date.now() - cached.timestamp < CACHE_DURATION) {
+    return cached.alerts;
+  }
 
-  if (!response.ok) {
-    throw new Error(`Failed to fetch forecast: ${response.status} ${response.statusText}`);
+  try {
+    const alerts = await provider.fetchAlerts(point);
+    alertCache.set(cacheKey, { alerts, timestamp: Date.now() });
+    return alerts;
+  } catch (error) {
+    console.error(`Error fetching alerts for ${point.name}:`, error);
+    return [];
   }
+}
+
+/**
+ * Fetch active alerts covering any point of a resort
+ * Points of a resort usually share alert zones, so alerts are de-duplicated by id.
+ * @param {object} resort
+ * @returns {Promise<Array>} Alerts, empty when the resort's provider has none
+ */
+async function fetchResortAlerts(resort) {
+  const provider = getProvider(resort.provider);
+  if (!provider.fetchAlerts) return [];
+
+  const pointAlerts = await Promise.all(
+    getResortPoints(resort).map(point => fetchPointAlerts(provider, point))
+  );
 
-  const data = await response.json();
-  return data.properties.periods;
+  const byId = new Map();
+  pointAlerts.flat().forEach(alert => byId.set(alert.id, alert));
+  return [...byId.values()];
 }
 
 /**
- * Fetch raw gridpoint data from NOAA (contains quantitative precip/snow)
- * @param {string} gridId - Grid office ID
- * @param {number} gridX - Grid X coordinate
- * @param {number} gridY - Grid Y coordinate
- * @returns {Promise<object>} Raw gridpoint properties
+ * Fetch active alerts for all resorts, a few at a time
+ * @param {Array} resorts - Array of resort objects
+ * @returns {Promise<Array<{resort: object, alerts: Array}>>} One entry per resort, in input order
+ */
+export async function fetchAllAlerts(resorts) {
+  const results = await mapWithConcurrency(resorts, MAX_CONCURRENT_RESORTS, fetchResortAlerts);
+  return results.map((result, index) => ({
+    resort: resorts[index],
+    alerts: result.status === 'fulfilled' ? result.value : []
+  }));
+}
+
+const discussionCache = new Map();
+
+/**
+ * Fetch the latest Area Forecast Discussion for each forecast office
+ * @param {Array<string>} officeIds - Distinct NWS office ids, e.g. ["SEW", "PDT"]
+ * @returns {Promise<Array<{office: string, discussion: object|null, error: string|null}>>}
  */
-async function fetchGridpointData(gridId, gridX, gridY) {
-  const url = `https://api.weather.gov/gridpoints/${gridId}/${gridX},${gridY}`;
+export async function fetchDiscussions(officeIds) {
+  const provider = getProvider('noaa');
 
-  const response = await fetch(url, {
-    headers: {
-      'User-Agent': USER_AGENT,
-      'Accept': 'application/geo+json'
+  const results = await mapWithConcurrency(officeIds, MAX_CONCURRENT_RESORTS, async office => {
+    const cached = discussionCache.get(office);
+    if (cached && Date.now() - cached.timestamp < CACHE_DURATION) {
+      return cached.discussion;
     }
+    const discussion = await provider.fetchDiscussion(office);
+    discussionCache.set(office, { discussion, timestamp: Date.now() });
+    return discussion;
   });
 
-  if (!response.ok) {
-    throw new Error(`Failed to fetch gridpoint data: ${response.status} ${response.statusText}`);
-  }
-
-  const data = await response.json();
-  return data.properties;
+  return results.map((result, index) => {
+    if (result.status === 'fulfilled') {
+      return { office: officeIds[index], discussion: result.value, error: null };
+    }
+    console.error(`Error fetching discussion for ${officeIds[index]}:`, result.reason);
+    return { office: officeIds[index], discussion: null, error: result.reason?.message || 'Unknown error' };
+  });
 }
 
+const avalancheCache = new Map();
+
 /**
- * Parse an ISO 8601 duration string (e.g., "PT6H", "PT1H") into hours
- * @param {string} duration - ISO 8601 duration
- * @returns {number} Duration in hours
+ * Fetch the avalanche danger forecast for each resort mapped to a zone
+ * @param {Array} resorts - Array of resort objects; those without `avalancheZone` are skipped
+ * @returns {Promise<Array<{resort: object, forecast: object|null, error: string|null}>>}
  */
-function parseDurationHours(duration) {
-  const match = duration.match(/PT(\d+)H/);
-  return match ? parseInt(match[1], 10) : 1;
+export async function fetchAvalancheForecasts(resorts) {
+  const mapped = resorts.filter(resort => resort.avalancheZone);
+
+  const results = await mapWithConcurrency(mapped, MAX_CONCURRENT_RESORTS, async resort => {
+    const { center, zone } = resort.avalancheZone;
+    const key = `${center}:${zone}`;
+    const cached = avalancheCache.get(key);
+    if (cached && Date.now() - cached.timestamp < CACHE_DURATION) {
+      return cached.forecast;
+    }
+    const forecast = await avalancheProvider.fetchForecast(resort.avalancheZone);
+    avalancheCache.set(key, { forecast, timestamp: Date.now() });
+    return forecast;
+  });
+
+  return results.map((result, index) => {
+    if (result.status === 'fulfilled') {
+      return { resort: mapped[index], forecast: result.value, error: null };
+    }
+    console.error(`Error fetching avalanche forecast for ${mapped[index].name}:`, result.reason);
+    return { resort: mapped[index], forecast: null, error: result.reason?.message || 'Unknown error' };
+  });
 }
 
+let passCache = null;
+
 /**
- * Distribute a NOAA time-series into per-hour values.
- * Each entry has a validTime like "2024-01-15T06:00:00+00:00/PT6H" and a value in mm.
- * Multi-hour intervals are split evenly across each hour.
- * @param {Array<{validTime: string, value: number}>} values - NOAA time-series
- * @returns {Map<number, number>} Map of hour-start timestamp (ms) to value (mm)
+ * Fetch current mountain pass conditions for each resort on a highway pass
+ * All passes come back in one request, so the whole list is cached together.
+ * @param {Array} resorts - Array of resort objects; those without `passId` are skipped
+ * @returns {Promise<Array<{resort: object, pass: object|null, error: string|null}>>}
+ *   Empty when no WSDOT access code is configured
  */
-function distributeTimeSeries(values) {
-  const hourlyMap = new Map();
-  if (!values) return hourlyMap;
-
-  for (const entry of values) {
-    const [isoStart, duration] = entry.validTime.split('/');
-    const start = new Date(isoStart).getTime();
-    const hours = parseDurationHours(duration);
-    const perHourValue = (entry.value ?? 0) / hours;
+export async function fetchPassConditions(resorts) {
+  const mapped = resorts.filter(resort => resort.passId !== undefined && resort.passId !== null);
+  if (!passProvider || mapped.length === 0) return [];
 
-    for (let h = 0; h < hours; h++) {
-      const hourStart = start + h * 3600000;
-      hourlyMap.set(hourStart, (hourlyMap.get(hourStart) || 0) + perHourValue);
+  let passes;
+  try {
+    if (!passCache || Date.now() - passCache.timestamp >= CACHE_DURATION) {
+      passCache = { passes: await passProvider.fetchPasses(), timestamp: Date.now() };
     }
+    passes = passCache.passes;
+  } catch (error) {
+    console.error('Error fetching pass conditions:', error);
+    return mapped.map(resort => ({ resort, pass: null, error: error.message || 'Unknown error' }));
   }
 
-  return hourlyMap;
+  return mapped.map(resort => {
+    const pass = passes.find(({ id }) => id === resort.passId) ?? null;
+    return { resort, pass, error: pass ? null : `WSDOT has no pass with id ${resort.passId}` };
+  });
 }
 
+const HOUR_MS = 60 * 60 * 1000;
+const SNOW_DEPTH_LOOKBACK = 24 * HOUR_MS; // observations needed before the first verified hour
+const VERIFY_INTERVAL = 3 * HOUR_MS; // stations report hourly at best; checking more often gains little
+
 /**
- * Merge snowfall and precip amounts from gridpoint data into hourly periods
- * @param {Array} periods - Hourly forecast periods
- * @param {object} gridData - Raw gridpoint properties
+ * Fetch station observations for a resort
+ * Uses the resort's `observationStation` when set (e.g. a SNOTEL site), otherwise
+ * the station nearest its first point.
+ * @param {object} resort
+ * @param {Date} start
+ * @param {Date} end
+ * @returns {Promise<{station: {id: string, name: string}, observations: Array}>}
  */
-function mergePrecipData(periods, gridData) {
-  const snowMap = distributeTimeSeries(gridData.snowfallAmount?.values);
-  const precipMap = distributeTimeSeries(gridData.quantitativePrecipitation?.values);
+async function fetchResortObservations(resort, start, end) {
+  const station = resort.observationStation;
+  if (station?.provider === 'snotel') {
+    return snotelProvider.fetchObservations(station.id, start, end, station.utcOffset);
+  }
 
-  for (const period of periods) {
-    const ts = new Date(period.startTime).getTime();
-    period.snowfallAmount = snowMap.get(ts) ?? 0;
-    period.precipAmount = precipMap.get(ts) ?? 0;
+  const provider = getProvider(resort.provider);
+  if (!provider.fetchObservations) {
+    throw new Error(`No observation station for ${resort.name}`);
   }
+  return provider.fetchObservations(getResortPoints(resort)[0], start, end);
 }
 
 /**
- * Fetch weather forecast for a resort
- * @param {{id: string, name: string, lat: number, lon: number}} resort
- * @returns {Promise<{resort: object, periods: Array, error: string|null}>}
+ * Verify a resort's stored forecast snapshots against observations for the
+ * hours that have passed since the last check, and update its history
+ * Skipped when observations were fetched within VERIFY_INTERVAL.
+ * @param {object} resort
+ * @returns {Promise<import('../storage/forecastHistory.js').ForecastHistory>}
  */
-export async function fetchResortForecast(resort) {
-  const cacheKey = getCacheKey(resort.lat, resort.lon);
+async function verifyResortForecasts(resort) {
+  const history = loadForecastHistory(resort.id);
+  if (history.checkedAt !== null && Date.now() - history.checkedAt < VERIFY_INTERVAL) {
+    return history;
+  }
 
-  // Check cache first
-  const cached = getCachedData(cacheKey);
-  if (cached) {
-    return { resort, periods: cached, error: null };
+  const end = Math.floor(Date.now() / HOUR_MS) * HOUR_MS;
+  const start = Math.max(history.verifiedThrough ?? 0, end - OBSERVATION_WINDOW);
+
+  const forecastHours = selectForecastHours(history.snapshots, start, end);
+  if (forecastHours.length === 0) {
+    return history;
   }
 
-  try {
-    // Step 1: Get grid point
-    const { gridId, gridX, gridY } = await fetchGridPoint(resort.lat, resort.lon);
+  const firstHour = forecastHours[0].time;
+  const { station, observations } = await fetchResortObservations(
+    resort,
+    new Date(firstHour - SNOW_DEPTH_LOOKBACK),
+    new Date(end)
+  );
 
-    // Step 2: Fetch hourly forecast and raw gridpoint data in parallel
-    const [periods, gridData] = await Promise.all([
-      fetchHourlyForecast(gridId, gridX, gridY),
-      fetchGridpointData(gridId, gridX, gridY)
-    ]);
+  // Stations report with a lag (SNOTEL by hours), so only hours up to the last
+  // one with an observation count; later ones are verified on a later check
+  const pairs = pairObservations(forecastHours, observations);
+  const lastObserved = pairs.findLastIndex(pair => pair.observedSnow !== null || pair.observedTemp !== null);
+  const verified = pairs.slice(0, lastObserved + 1);
+  history.days = addToDays(history.days, verified, history.timeZone ?? undefined);
+  if (verified.length > 0) {
+    history.verifiedThrough = verified[verified.length - 1].time + HOUR_MS;
+  }
+  history.station = station;
+  history.checkedAt = Date.now();
+  saveForecastHistory(resort.id, history);
+  return history;
+}
 
-    // Step 3: Merge snowfall and precip amounts into periods
-    mergePrecipData(periods, gridData);
+/**
+ * Shape a resort's history as a verification result
+ * @param {object} resort
+ * @param {import('../storage/forecastHistory.js').ForecastHistory} history
+ * @param {string|null} error
+ * @returns {{resort: object, station: object|null, days: Array, summary: object, error: string|null}}
+ */
+function toVerificationResult(resort, history, error) {
+  return { resort, station: history.station, days: history.days, summary: summarizeBias(history.days), error };
+}
 
-    // Cache the result
-    setCachedData(cacheKey, periods);
+/**
+ * Stored verification results for each resort, without fetching observations
+ * @param {Array} resorts - Array of resort objects
+ * @returns {Array<{resort: object, station: object|null, days: Array, summary: object, error: null}>}
+ */
+export function loadVerificationResults(resorts) {
+  return resorts.map(resort => toVerificationResult(resort, loadForecastHistory(resort.id), null));
+}
 
-    return { resort, periods, error: null };
-  } catch (error) {
-    console.error(`Error fetching forecast for ${resort.name}:`, error);
-    return { resort, periods: [], error: error.message };
-  }
+/**
+ * Verify stored forecasts against station observations for each resort
+ * Resorts whose observations cannot be fetched keep their earlier results.
+ * @param {Array} resorts - Array of resort objects
+ * @returns {Promise<Array<{resort: object, station: object|null, days: Array, summary: object, error: string|null}>>}
+ */
+export async function verifyForecasts(resorts) {
+  const results = await mapWithConcurrency(resorts, MAX_CONCURRENT_RESORTS, verifyResortForecasts);
+
+  return results.map((result, index) => {
+    const resort = resorts[index];
+    let history;
+    let error = null;
+    if (result.status === 'fulfilled') {
+      history = result.value;
+    } else {
+      console.error(`Error verifying forecasts for ${resort.name}:`, result.reason);
+      history = loadForecastHistory(resort.id);
+      error = result.reason?.message || 'Unknown error';
+    }
+    return toVerificationResult(resort, history, error);
+  });
 }
 
 /**
- * Fetch forecasts for all resorts in parallel
+ * Fetch forecasts for all resorts, a few at a time
  * @param {Array} resorts - Array of resort objects
  * @returns {Promise<Array>} Array of forecast results
  */
 export async function fetchAllForecasts(resorts) {
-  const results = await Promise.allSettled(
-    resorts.map(resort => fetchResortForecast(resort))
-  );
+  const results = await mapWithConcurrency(resorts, MAX_CONCURRENT_RESORTS, fetchResortForecast);
 
   return results.map((result, index) => {
     if (result.status === 'fulfilled') {
@@ -205,8 +549,9 @@ export async function fetchAllForecasts(resorts) {
     } else {
       return {
         resort: resorts[index],
-        periods: [],
-        error: result.reason?.message || 'Unknown error'
+        points: [],
+        error: result.reason?.message || 'Unknown error',
+        errorType: result.reason?.name || null
       };
     }
   });
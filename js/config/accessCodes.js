@@ -0,0 +1,8 @@
+// Access codes for data services that require one
+// Features whose service has no code here are left off the page. Fill in
+// your own before deploying; codes are free:
+// - wsdot: https://wsdot.wa.gov/traffic/api/ (pass conditions row)
+
+export const accessCodes = {
+  wsdot: ''
+};
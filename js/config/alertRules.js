@@ -0,0 +1,51 @@
+// Threshold rule types for user-defined snow and wind notifications
+// Rule values are stored in base units (snow mm, gusts mph, snow level ft) and
+// entered in the current unit system; `scale` converts one display unit to base.
+
+export const ruleTypes = [
+  {
+    id: 'snow-24h',
+    label: 'Snow in 24h',
+    operator: 'gte',
+    units: { imperial: 'in', metric: 'cm' },
+    scale: { imperial: 25.4, metric: 10 },
+    decimals: 1
+  },
+  {
+    id: 'gust',
+    label: 'Wind gusts',
+    operator: 'gte',
+    units: { imperial: 'mph', metric: 'km/h' },
+    scale: { imperial: 1, metric: 1 / 1.60934 },
+    decimals: 0
+  },
+  {
+    id: 'snow-level',
+    label: 'Snow level',
+    operator: 'lte',
+    units: { imperial: 'ft', metric: 'm' },
+    scale: { imperial: 1, metric: 3.28084 },
+    decimals: 0
+  }
+];
+
+/**
+ * Get a rule type by id
+ * @param {string} id
+ * @returns {object|undefined}
+ */
+export function getRuleType(id) {
+  return ruleTypes.find(type => type.id === id);
+}
+
+/**
+ * Format a base-unit value of a rule type in the given unit system
+ * @param {object} type - Rule type
+ * @param {number} value - Base units
+ * @param {string} unitSystem - 'imperial' or 'metric'
+ * @returns {string} e.g. "8 in"
+ */
+export function formatRuleValue(type, value, unitSystem) {
+  const display = value / type.scale[unitSystem];
+  return `${Number(display.toFixed(type.decimals)).toLocaleString()} ${type.units[unitSystem]}`;
+}
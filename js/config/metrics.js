@@ -1,5 +1,8 @@
 // Metric definitions for weather display
 // Supports both imperial (F, mph) and metric (C, km/h) units
+// `unit` is the display unit of formatted values; `rawUnit` the unit of the
+// values extract() returns, which do not change with the unit system.
+// `convert` turns a raw number into the display unit, for numeric exports.
 
 /**
  * Convert Fahrenheit to Celsius
@@ -25,6 +28,26 @@ function ftToM(ft) {
   return ft * 0.3048;
 }
 
+/**
+ * Convert meters to feet
+ */
+function mToFt(m) {
+  if (m === null) return null;
+  return m / 0.3048;
+}
+
+/**
+ * Estimate snow level (ft) from surface temperature (F)
+ * Rough approximation: snow level drops ~1000ft per 5°F below 40°F
+ */
+function estimateSnowLevel(temp) {
+  if (temp === null || temp === undefined) return null;
+  if (temp <= 32) return 0; // At or below freezing, snow at all elevations
+  // Estimate: base at 5000ft, adjust by temperature
+  const snowLevel = 5000 + (temp - 32) * 200;
+  return Math.max(0, Math.min(10000, snowLevel));
+}
+
 /**
  * Convert millimeters to inches
  */
@@ -54,8 +77,13 @@ export function getMetrics(unitSystem = 'imperial') {
       id: 'snow-amount',
       label: isMetric ? 'Snow (cm)' : 'Snow (in)',
       unit: isMetric ? 'cm' : 'in',
+      rawUnit: 'mm',
       aggregate: 'sum',
+      agreementTolerance: 5, // mm, models within ~0.2 in of each other agree
+      changeThreshold: 2.5, // mm, smaller run-to-run changes are not highlighted
+      stormRate: 0.5, // mm/h averaged over a slot, trace amounts do not start or extend a storm
       extract: (period) => period.snowfallAmount ?? null,
+      convert: (value) => isMetric ? mmToCm(value) : mmToIn(value),
       format: (value) => {
         if (value === null || value === 0) return '—';
         const amount = isMetric ? mmToCm(value) : mmToIn(value);
@@ -66,8 +94,11 @@ export function getMetrics(unitSystem = 'imperial') {
       id: 'rain-amount',
       label: isMetric ? 'Rain (mm)' : 'Rain (in)',
       unit: isMetric ? 'mm' : 'in',
+      rawUnit: 'mm',
       aggregate: 'sum',
+      stormRate: 0.25, // mm/h averaged over a slot, drizzle does not start or extend a storm
       extract: (period) => period.precipAmount ?? null,
+      convert: (value) => isMetric ? value : mmToIn(value),
       format: (value) => {
         if (value === null || value === 0) return '—';
         const amount = isMetric ? value : mmToIn(value);
@@ -78,7 +109,10 @@ export function getMetrics(unitSystem = 'imperial') {
       id: 'temperature',
       label: isMetric ? 'Temperature (C)' : 'Temperature (F)',
       unit: isMetric ? '°C' : '°F',
+      rawUnit: '°F',
+      changeThreshold: 2, // F
       extract: (period) => period.temperature,
+      convert: (value) => isMetric ? fToC(value) : value,
       format: (value) => {
         if (value === null) return '—';
         const temp = isMetric ? fToC(value) : value;
@@ -89,29 +123,43 @@ export function getMetrics(unitSystem = 'imperial') {
       id: 'wind',
       label: isMetric ? 'Wind (km/h)' : 'Wind (mph)',
       unit: isMetric ? 'km/h' : 'mph',
+      rawUnit: 'mph',
+      numericValue: (value) => value?.speed ?? null,
+      convert: (value) => isMetric ? mphToKmh(value) : value,
       extract: (period) => {
         // Wind speed comes as "15 mph" string, parse the number
         const match = period.windSpeed?.match(/(\d+)/);
         const speed = match ? parseInt(match[1], 10) : null;
-        return { speed };
+        return {
+          speed,
+          direction: period.windDirection || null,
+          gust: period.windGust ?? null
+        };
       },
       format: (value) => {
         if (!value || value.speed === null) return '—';
-        const speed = isMetric ? mphToKmh(value.speed) : value.speed;
-        return `${Math.round(speed)}`;
+        const speed = Math.round(isMetric ? mphToKmh(value.speed) : value.speed);
+        const gust = value.gust === null ? null : Math.round(isMetric ? mphToKmh(value.gust) : value.gust);
+        // e.g. "SW 20 G35", gusts only shown when they exceed the sustained speed
+        const direction = value.direction ? `${value.direction} ` : '';
+        const gustText = gust !== null && gust > speed ? ` G${gust}` : '';
+        return `${direction}${speed}${gustText}`;
       }
     },
     {
       id: 'precipitation-chance',
       label: 'Precip Chance',
       unit: '%',
+      rawUnit: '%',
       extract: (period) => period.probabilityOfPrecipitation?.value ?? null,
+      convert: (value) => value,
       format: (value) => value !== null ? `${Math.round(value)}%` : '—'
     },
     {
       id: 'conditions',
       label: 'Conditions',
       unit: '',
+      rawUnit: '',
       extract: (period) => period.shortForecast,
       format: (value) => {
         if (!value) return '—';
@@ -139,24 +187,34 @@ export function getMetrics(unitSystem = 'imperial') {
       id: 'snow-level',
       label: isMetric ? 'Snow Level (m)' : 'Snow Level (ft)',
       unit: isMetric ? 'm' : 'ft',
+      rawUnit: 'ft',
+      changeThreshold: 500, // ft
+      numericValue: (value) => value?.level ?? null,
+      convert: (value) => isMetric ? ftToM(value) : value,
       extract: (period) => {
-        // Estimate snow level from temperature
-        // Rough approximation: snow level drops ~1000ft per 5°F below 40°F
-        const temp = period.temperature;
-        if (temp === null || temp === undefined) return null;
-        if (temp <= 32) return 0; // At or below freezing, snow at all elevations
-        // Estimate: base at 5000ft, adjust by temperature
-        const snowLevel = 5000 + (temp - 32) * 200;
-        return Math.max(0, Math.min(10000, snowLevel));
+        // Prefer NOAA's snowLevel layer (meters), fall back to the temperature heuristic
+        if (period.snowLevel !== null && period.snowLevel !== undefined) {
+          return { level: mToFt(period.snowLevel), estimated: false };
+        }
+        const level = estimateSnowLevel(period.temperature);
+        return level === null ? null : { level, estimated: true };
       },
       format: (value) => {
-        if (value === null) return '—';
-        const level = isMetric ? ftToM(value) : value;
-        return `${Math.round(level).toLocaleString()}`;
+        if (!value || value.level === null) return '—';
+        const level = isMetric ? ftToM(value.level) : value.level;
+        const text = `${Math.round(level).toLocaleString()}`;
+        // Prefix heuristic values so they stand out from NOAA's own numbers
+        return value.estimated ? `~${text}` : text;
       }
     },
   ];
 }
 
+// One-click metric selections for the metric picker; null shows every metric
+export const metricPresets = [
+  { id: 'all', label: 'All', metricIds: null },
+  { id: 'compact', label: 'Compact', metricIds: ['snow-amount', 'temperature', 'wind'] }
+];
+
 // Default export for backwards compatibility
 export const metrics = getMetrics('imperial');
@@ -0,0 +1,12 @@
+// Forecast models for the side-by-side comparison view
+// `provider` is a provider id from weatherApi.js. Open-Meteo models use
+// "open-meteo:<model>" with the model id from the Open-Meteo docs.
+// `conusOnly` models are skipped for resorts outside NWS coverage.
+
+export const comparisonModels = [
+  { id: 'nws', label: 'NWS', provider: 'noaa', conusOnly: true },
+  { id: 'gfs', label: 'GFS', provider: 'open-meteo:gfs_seamless' },
+  { id: 'ecmwf', label: 'ECMWF', provider: 'open-meteo:ecmwf_ifs025' },
+  { id: 'hrrr', label: 'HRRR', provider: 'open-meteo:gfs_hrrr', conusOnly: true },
+  { id: 'gem', label: 'GEM', provider: 'open-meteo:gem_seamless' }
+];
@@ -1,35 +1,102 @@
-// Washington ski resort definitions
-// To add a new resort, add an object with {id, name, lat, lon}
+// Ski resort definitions
+// To add a new resort, add an object with {id, name, points}
+// Each point is {id, name, lat, lon, elevation} with elevation in feet, ordered base to summit.
+// A resort with a single {lat, lon} (no points) is treated as one unnamed point.
+// Set `provider` to pick the forecast source: 'noaa' (default) or 'open-meteo'
+// for resorts outside NWS coverage.
+// `avalancheZone` maps a resort to an avalanche.org forecast zone by center id
+// and zone name (as shown on the center's map) for the avalanche danger row.
+// `passId` is the WSDOT MountainPassId of the highway pass on the way there,
+// for the pass conditions row (shown once a WSDOT code is set in accessCodes.js).
+// `observationStation` picks where forecasts are verified against, e.g.
+// { provider: 'snotel', id: '791:WA:SNTL' }; without one NOAA resorts use the
+// NWS station nearest their first point, which reports temperature but not snow.
+// These are the built-in resorts; users add, hide and reorder locations from the
+// Resorts panel (see storage/resortList.js) without editing this file.
 
 export const resorts = [
   {
     id: 'mt-baker',
     name: 'Mt. Baker',
-    lat: 48.8570,
-    lon: -121.6675
+    avalancheZone: { center: 'NWAC', zone: 'West Slopes North' },
+    observationStation: { provider: 'snotel', id: '909:WA:SNTL' }, // Wells Creek
+    points: [
+      { id: 'base', name: 'Base', lat: 48.8570, lon: -121.6675, elevation: 3500 },
+      { id: 'summit', name: 'Summit', lat: 48.8600, lon: -121.6560, elevation: 5089 }
+    ]
   },
   {
     id: 'stevens-pass',
     name: 'Stevens Pass',
-    lat: 47.7448,
-    lon: -121.0890
+    avalancheZone: { center: 'NWAC', zone: 'Stevens Pass' },
+    passId: 10,
+    observationStation: { provider: 'snotel', id: '791:WA:SNTL' }, // Stevens Pass
+    points: [
+      { id: 'base', name: 'Base', lat: 47.7448, lon: -121.0890, elevation: 4061 },
+      { id: 'summit', name: 'Summit', lat: 47.7335, lon: -121.0790, elevation: 5845 }
+    ]
   },
   {
     id: 'snoqualmie-pass',
     name: 'Snoqualmie Pass',
-    lat: 47.4254,
-    lon: -121.4134
+    avalancheZone: { center: 'NWAC', zone: 'Snoqualmie Pass' },
+    passId: 11,
+    observationStation: { provider: 'snotel', id: '672:WA:SNTL' }, // Olallie Meadows
+    points: [
+      { id: 'base', name: 'Base', lat: 47.4254, lon: -121.4134, elevation: 3000 },
+      { id: 'summit', name: 'Summit', lat: 47.4370, lon: -121.4480, elevation: 5420 }
+    ]
   },
   {
     id: 'crystal-mountain',
     name: 'Crystal Mountain',
-    lat: 46.9282,
-    lon: -121.5045
+    avalancheZone: { center: 'NWAC', zone: 'West Slopes South' },
+    observationStation: { provider: 'snotel', id: '418:WA:SNTL' }, // Corral Pass
+    points: [
+      { id: 'base', name: 'Base', lat: 46.9282, lon: -121.5045, elevation: 4400 },
+      { id: 'mid', name: 'Mid', lat: 46.9330, lon: -121.4900, elevation: 5800 },
+      { id: 'summit', name: 'Summit', lat: 46.9355, lon: -121.4745, elevation: 6872 }
+    ]
   },
   {
     id: 'white-pass',
     name: 'White Pass',
-    lat: 46.6371,
-    lon: -121.3914
+    avalancheZone: { center: 'NWAC', zone: 'West Slopes South' },
+    passId: 12,
+    observationStation: { provider: 'snotel', id: '863:WA:SNTL' }, // White Pass E.S.
+    points: [
+      { id: 'base', name: 'Base', lat: 46.6371, lon: -121.3914, elevation: 4500 },
+      { id: 'summit', name: 'Summit', lat: 46.6270, lon: -121.3760, elevation: 6500 }
+    ]
+  },
+  {
+    id: 'whistler-blackcomb',
+    name: 'Whistler Blackcomb',
+    provider: 'open-meteo',
+    points: [
+      { id: 'base', name: 'Base', lat: 50.1150, lon: -122.9486, elevation: 2214 },
+      { id: 'summit', name: 'Summit', lat: 50.0595, lon: -122.9480, elevation: 7160 }
+    ]
+  },
+  {
+    id: 'red-mountain',
+    name: 'Red Mountain',
+    provider: 'open-meteo',
+    points: [
+      { id: 'base', name: 'Base', lat: 49.1050, lon: -117.8460, elevation: 3888 },
+      { id: 'summit', name: 'Summit', lat: 49.1250, lon: -117.8300, elevation: 6800 }
+    ]
   }
 ];
+
+/**
+ * Get the forecast points for a resort
+ * @param {object} resort - Resort definition
+ * @returns {Array<{id: string, name: string, lat: number, lon: number, elevation: number|null}>}
+ */
+export function getResortPoints(resort) {
+  if (resort.points && resort.points.length > 0) {
+    return resort.points;
+  }
+  return [{ id: 'main', name: resort.name, lat: resort.lat, lon: resort.lon, elevation: resort.elevation ?? null }];
+}
@@ -0,0 +1,15 @@
+// Ski quality score weights
+// Each factor is rated 0-1 per slot, the score is the weighted average scaled
+// to 0-100. Weights are relative; set one to 0 to ignore that factor.
+
+export const scoreWeights = {
+  newSnow: 0.4,      // snowfall, rated against FULL_SCORE_SNOW_PER_DAY
+  snowLevel: 0.2,    // snow level relative to the resort's base elevation
+  temperature: 0.15, // cold enough to keep snow dry, not dangerously cold
+  wind: 0.15,        // gusts, since they close lifts
+  precipType: 0.1    // snow beats mixed beats rain
+};
+
+export const FULL_SCORE_SNOW_PER_DAY = 12; // inches per 24h that earn a full new-snow rating
+export const POWDER_DAY_SNOW = 6; // inches in a day that make it a powder day (calendar export)
+export const SNOW_LEVEL_MARGIN = 1000; // ft above/below base where the snow level rating saturates
@@ -0,0 +1,26 @@
+// Time slot sizes for the forecast table
+// `offsetHours` shifts slot boundaries away from midnight, e.g. day/night
+// slots run 6AM-6PM and 6PM-6AM.
+
+export const slotSizes = [
+  { id: '1h', label: '1 hour', hoursPerSlot: 1, offsetHours: 0 },
+  { id: '3h', label: '3 hours', hoursPerSlot: 3, offsetHours: 0 },
+  { id: '4h', label: '4 hours', hoursPerSlot: 4, offsetHours: 0 },
+  { id: '6h', label: '6 hours', hoursPerSlot: 6, offsetHours: 0 },
+  { id: '12h', label: 'Day/Night', hoursPerSlot: 12, offsetHours: 6 },
+  { id: '24h', label: 'Daily', hoursPerSlot: 24, offsetHours: 0 }
+];
+
+export const DEFAULT_SLOT_SIZE = '4h';
+export const DEFAULT_DAYS = 5;
+export const MAX_DAYS = 7; // NOAA's hourly forecast runs about 7 days out
+
+/**
+ * Look up a slot size by id, falling back to the default
+ * @param {string} id
+ * @returns {{id: string, label: string, hoursPerSlot: number, offsetHours: number}}
+ */
+export function getSlotSize(id) {
+  return slotSizes.find(size => size.id === id)
+    ?? slotSizes.find(size => size.id === DEFAULT_SLOT_SIZE);
+}
@@ -0,0 +1,70 @@
+// Split an NWS Area Forecast Discussion into sections and pull out the
+// paragraphs skiers care about (snow, snow levels, mountains, passes).
+// AFD sections start with ".TITLE..." and end with "&&"; "$$" ends the product.
+
+const SECTION_HEADER = /^\.([^.\s].*?)\s*\.\.\.(.*)$/; // title is anything up to the first "...", in any case
+const WINTER_TITLE = /WINTER|MOUNTAIN|SNOW|AVALANCHE/i;
+const WINTER_TEXT = /\b(snow|snowfall|snow levels?|freezing levels?|winter|mountains?|passes|cascades|avalanche)\b/i;
+const SKIPPED_TITLES = /AVIATION|MARINE|FIRE WEATHER/i; // not ski weather, mentions of "mountains" there mislead
+const MAX_HIGHLIGHTS = 6;
+
+/**
+ * Join hard-wrapped lines into paragraphs
+ * @param {Array<string>} lines
+ * @returns {Array<string>}
+ */
+function toParagraphs(lines) {
+  const paragraphs = [];
+  let current = [];
+  lines.forEach(line => {
+    if (line.trim() === '') {
+      if (current.length > 0) paragraphs.push(current.join(' '));
+      current = [];
+    } else {
+      current.push(line.trim());
+    }
+  });
+  if (current.length > 0) paragraphs.push(current.join(' '));
+  return paragraphs;
+}
+
+/**
+ * Parse the text of an Area Forecast Discussion
+ * @param {string} productText
+ * @returns {{sections: Array<{title: string, paragraphs: Array<string>, isWinter: boolean}>, highlights: Array<{section: string, text: string}>}}
+ */
+export function parseDiscussion(productText) {
+  const sections = [];
+  let current = null;
+
+  (productText ?? '').split(/\r?\n/).forEach(line => {
+    const header = line.match(SECTION_HEADER);
+    if (header) {
+      current = { title: header[1].trim(), lines: [header[2]] };
+      sections.push(current);
+      return;
+    }
+    if (line.trim() === '&&' || line.trim() === '$$') {
+      current = null;
+      return;
+    }
+    if (current) {
+      current.lines.push(line);
+    }
+  });
+
+  const parsed = sections.map(({ title, lines }) => ({
+    title,
+    paragraphs: toParagraphs(lines),
+    isWinter: WINTER_TITLE.test(title)
+  }));
+
+  const highlights = parsed
+    .filter(section => !SKIPPED_TITLES.test(section.title))
+    .flatMap(section => section.paragraphs
+      .filter(text => section.isWinter || WINTER_TEXT.test(text))
+      .map(text => ({ section: section.title, text })))
+    .slice(0, MAX_HIGHLIGHTS);
+
+  return { sections: parsed, highlights };
+}
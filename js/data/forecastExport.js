@@ -0,0 +1,249 @@
+// Serializes transformed forecasts for export: CSV, JSON and iCalendar
+// Every format works from the same transformForecast output the table shows,
+// so the unit system and slot size carry over.
+
+import { getZonedParts } from './timeZone.js';
+
+const ICS_LINE_CHARS = 60; // folded well under RFC 5545's 75 octets, so multi-byte characters fit
+
+/**
+ * Resort points that have forecast data
+ * @param {Array} resortData - {resort, points: [{point, transformedData}]} entries
+ * @returns {Array<{resort: object, point: object, transformedData: object}>}
+ */
+function getLoadedPoints(resortData) {
+  return resortData.flatMap(({ resort, points }) => points
+    .filter(({ transformedData }) => transformedData)
+    .map(({ point, transformedData }) => ({ resort, point, transformedData })));
+}
+
+/**
+ * Quote a CSV field when it holds a comma, quote or line break
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeCsv(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * A raw number in a metric's display unit, rounded to drop float noise
+ * @param {object} metric
+ * @param {number|null|undefined} value
+ * @returns {number|null}
+ */
+function toDisplayNumber(metric, value) {
+  if (typeof value !== 'number') return null;
+  return Math.round(metric.convert(value) * 100) / 100;
+}
+
+/**
+ * The value columns of a CSV row: the number in the display unit (or text for
+ * metrics without one), wind direction, gust and whether the value is estimated
+ * @param {object} metric
+ * @param {*} value - Slot value as extracted, in the metric's rawUnit
+ * @returns {Array}
+ */
+function getCsvValues(metric, value) {
+  if (!metric.convert) return [value, null, null, null];
+
+  const number = metric.numericValue ? metric.numericValue(value) : value;
+  return [
+    toDisplayNumber(metric, number),
+    value?.direction ?? null,
+    toDisplayNumber(metric, value?.gust),
+    value?.estimated ? 'yes' : null
+  ];
+}
+
+/**
+ * Serialize forecasts as CSV, one row per resort, point, metric and slot
+ * Values are plain numbers in the current unit system; wind direction and gust
+ * get columns of their own.
+ * @param {Array} resortData
+ * @param {Array} metrics - Metric definitions to export
+ * @returns {string}
+ */
+export function toCsv(resortData, metrics) {
+  const rows = [[
+    'Resort', 'Point', 'Metric', 'Unit', 'Slot Start', 'Slot End', 'Slot',
+    'Value', 'Direction', 'Gust', 'Estimated'
+  ]];
+
+  getLoadedPoints(resortData).forEach(({ resort, point, transformedData }) => {
+    metrics.forEach(metric => {
+      transformedData.metricData[metric.id]?.forEach((data, index) => {
+        const slot = transformedData.slots[index];
+        rows.push([
+          resort.name,
+          point.name,
+          metric.label,
+          metric.unit,
+          slot.startTime.toISOString(),
+          slot.endTime.toISOString(),
+          slot.label,
+          ...getCsvValues(metric, data.noData ? null : data.value)
+        ]);
+      });
+    });
+  });
+
+  return rows.map(row => row.map(escapeCsv).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Serialize forecasts as JSON with raw and formatted values per slot
+ * Raw values are in each metric's rawUnit, formatted values in its display unit.
+ * @param {Array} resortData
+ * @param {Array} metrics - Metric definitions to export
+ * @param {{unitSystem: string, hoursPerSlot: number, timeZone?: string}} options
+ * @returns {string}
+ */
+export function toJson(resortData, metrics, { unitSystem, hoursPerSlot, timeZone }) {
+  const resorts = resortData.map(({ resort, points }) => ({
+    id: resort.id,
+    name: resort.name,
+    points: points
+      .filter(({ transformedData }) => transformedData)
+      .map(({ point, transformedData }) => ({
+        id: point.id,
+        name: point.name,
+        lat: point.lat,
+        lon: point.lon,
+        elevation: point.elevation ?? null,
+        slots: transformedData.slots.map((slot, index) => {
+          const values = {};
+          metrics.forEach(metric => {
+            const data = transformedData.metricData[metric.id]?.[index];
+            values[metric.id] = data && !data.noData
+              ? { raw: data.value, formatted: data.formattedValue }
+              : null;
+          });
+          return {
+            start: slot.startTime.toISOString(),
+            end: slot.endTime.toISOString(),
+            label: slot.label,
+            values
+          };
+        })
+      }))
+  }));
+
+  return JSON.stringify({
+    generatedAt: new Date().toISOString(),
+    unitSystem,
+    hoursPerSlot,
+    timeZone: timeZone ?? null,
+    metrics: metrics.map(({ id, label, unit, rawUnit }) => ({ id, label, unit, rawUnit })),
+    resorts
+  }, null, 2);
+}
+
+/**
+ * Snow per forecast day for each resort, at whichever point gets the most
+ * @param {Array} resortData
+ * @param {object} snowMetric
+ * @returns {Array<{resort: object, point: object, startTime: Date, snow: number}>} snow in mm
+ */
+function getDailySnow(resortData, snowMetric) {
+  const days = [];
+
+  resortData.forEach(({ resort, points }) => {
+    const byDay = new Map();
+    points.filter(({ transformedData }) => transformedData).forEach(({ point, transformedData }) => {
+      const totals = new Map();
+      transformedData.slots.forEach((slot, index) => {
+        const value = transformedData.metricData[snowMetric.id]?.[index].value ?? 0;
+        const day = totals.get(slot.dayLabel) ?? { startTime: slot.startTime, snow: 0 };
+        day.snow += value;
+        totals.set(slot.dayLabel, day);
+      });
+
+      totals.forEach(({ startTime, snow }, dayLabel) => {
+        const best = byDay.get(dayLabel);
+        if (!best || snow > best.snow) {
+          byDay.set(dayLabel, { resort, point, startTime, snow });
+        }
+      });
+    });
+    days.push(...byDay.values());
+  });
+
+  return days;
+}
+
+/**
+ * Format a calendar date in a time zone as an iCalendar DATE value
+ * @param {Date} date
+ * @param {string} [timeZone]
+ * @param {number} [addDays=0]
+ * @returns {string} e.g. "20250115"
+ */
+function formatIcsDate(date, timeZone, addDays = 0) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return new Date(Date.UTC(year, month - 1, day + addDays)).toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+/**
+ * Escape text for an iCalendar property value
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeIcs(text) {
+  return text.replace(/[\\;,]/g, match => `\\${match}`).replace(/\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to the iCalendar line limit
+ * @param {string} line
+ * @returns {string}
+ */
+function foldIcsLine(line) {
+  const parts = [];
+  for (let i = 0; i < line.length; i += ICS_LINE_CHARS) {
+    parts.push(line.slice(i, i + ICS_LINE_CHARS));
+  }
+  return parts.join('\r\n ');
+}
+
+/**
+ * Serialize forecast powder days as an iCalendar file, one all-day event per
+ * resort and day whose snow reaches the threshold
+ * @param {Array} resortData
+ * @param {object} snowMetric - Snow amount metric in the current unit system
+ * @param {{threshold: number, timeZone?: string}} options - threshold in mm per day;
+ *   timeZone decides which calendar day a slot falls on
+ * @returns {string}
+ */
+export function toIcs(resortData, snowMetric, { threshold, timeZone }) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Washington Ski Weather//Forecast Export//EN',
+    'CALSCALE:GREGORIAN'
+  ];
+
+  getDailySnow(resortData, snowMetric)
+    .filter(({ snow }) => snow >= threshold)
+    .forEach(({ resort, point, startTime, snow }) => {
+      const date = formatIcsDate(startTime, timeZone);
+      const amount = `${snowMetric.format(snow)} ${snowMetric.unit}`;
+      const where = point.name && point.name !== resort.name ? ` at ${point.name}` : '';
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${resort.id}-${date}@ski-weather`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;VALUE=DATE:${date}`,
+        `DTEND;VALUE=DATE:${formatIcsDate(startTime, timeZone, 1)}`,
+        `SUMMARY:${escapeIcs(`Powder day: ${resort.name} ${amount}`)}`,
+        `DESCRIPTION:${escapeIcs(`${amount} of snow forecast${where}.`)}`,
+        'TRANSP:TRANSPARENT',
+        'END:VEVENT'
+      );
+    });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
@@ -1,47 +1,70 @@
-// Transform NOAA hourly data into 4-hour aggregated slots
+// Transform NOAA hourly data into aggregated time slots (4 hours by default)
 
-const HOURS_PER_SLOT = 4;
-const SLOTS_PER_DAY = 6;
-const DAYS_TO_SHOW = 5;
-const TOTAL_SLOTS = SLOTS_PER_DAY * DAYS_TO_SHOW;
+import { getZonedParts, getZoneName, zonedTimeToDate } from './timeZone.js';
+
+const DEFAULT_OPTIONS = {
+  hoursPerSlot: 4,
+  offsetHours: 0,
+  days: 5,
+  timeZone: undefined
+};
+
+// Running totals shown for amount (summed) metrics, measured from the first forecast hour
+const TOTAL_WINDOWS = [
+  { id: '24h', label: '24h', hours: 24 },
+  { id: '48h', label: '48h', hours: 48 },
+  { id: '5d', label: '5 day', hours: 120 }
+];
+
+const STORM_GAP_HOURS = 6; // a lull no longer than this does not split a storm
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Format an hour of the day
+ * @param {number} hours - 0-23
+ * @returns {string} e.g., "8AM"
+ */
+function formatHour(hours) {
+  const ampm = hours >= 12 ? 'PM' : 'AM';
+  return `${hours % 12 || 12}${ampm}`;
+}
 
 /**
  * Format a date into a time slot label
  * @param {Date} date
+ * @param {string} [timeZone] - IANA zone, viewer's zone if omitted
  * @returns {string} e.g., "Mon 8AM"
  */
-function formatSlotLabel(date) {
-  const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-  const day = days[date.getDay()];
-  let hours = date.getHours();
-  const ampm = hours >= 12 ? 'PM' : 'AM';
-  hours = hours % 12 || 12;
-  return `${day} ${hours}${ampm}`;
+function formatSlotLabel(date, timeZone) {
+  const { weekday, hour } = getZonedParts(date, timeZone);
+  return `${weekday} ${formatHour(hour)}`;
 }
 
 /**
- * Format just the time portion of a slot
- * @param {Date} date
- * @returns {string} e.g., "8AM"
+ * Format the column label of a slot for the given slot size
+ * @param {Date} date - Slot start
+ * @param {number} hoursPerSlot
+ * @param {string} [timeZone]
+ * @returns {string} e.g., "8AM", "Night", "All day"
  */
-function formatTimeLabel(date) {
-  let hours = date.getHours();
-  const ampm = hours >= 12 ? 'PM' : 'AM';
-  hours = hours % 12 || 12;
-  return `${hours}${ampm}`;
+function formatSlotTimeLabel(date, hoursPerSlot, timeZone) {
+  if (hoursPerSlot >= 24) return 'All day';
+  const { hour } = getZonedParts(date, timeZone);
+  if (hoursPerSlot === 12) {
+    return hour >= 6 && hour < 18 ? 'Day' : 'Night';
+  }
+  return formatHour(hour);
 }
 
 /**
  * Format just the day portion of a slot with date
  * @param {Date} date
+ * @param {string} [timeZone]
  * @returns {string} e.g., "Mon (1/7)"
  */
-function formatDayLabel(date) {
-  const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-  const dayName = days[date.getDay()];
-  const month = date.getMonth() + 1;
-  const day = date.getDate();
-  return `${dayName} (${month}/${day})`;
+function formatDayLabel(date, timeZone) {
+  const { weekday, month, day } = getZonedParts(date, timeZone);
+  return `${weekday} (${month}/${day})`;
 }
 
 /**
@@ -104,13 +127,24 @@ function aggregateValues(values, aggregateMode) {
   const filtered = values.filter(v => v !== null && v !== undefined);
   if (filtered.length === 0) return null;
 
-  // Check if values are wind objects {speed, direction}
+  // Check if values are wind objects {speed, direction, gust}
   if (filtered[0] && typeof filtered[0] === 'object' && 'speed' in filtered[0]) {
     const speeds = filtered.map(v => v.speed).filter(s => s !== null);
     const directions = filtered.map(v => v.direction).filter(d => d !== null);
+    // Peak gust, since a single strong gust is what holds the lifts
+    const gusts = filtered.map(v => v.gust).filter(g => g !== null && g !== undefined);
     return {
       speed: speeds.length > 0 ? speeds.reduce((a, b) => a + b, 0) / speeds.length : null,
-      direction: getMode(directions)
+      direction: getMode(directions),
+      gust: gusts.length > 0 ? Math.max(...gusts) : null
+    };
+  }
+
+  // Check if values are snow level objects {level, estimated}
+  if (filtered[0] && typeof filtered[0] === 'object' && 'level' in filtered[0]) {
+    return {
+      level: average(filtered.map(v => v.level)),
+      estimated: filtered.some(v => v.estimated)
     };
   }
 
@@ -125,82 +159,333 @@ function aggregateValues(values, aggregateMode) {
 }
 
 /**
- * Group periods into 4-hour slots
- * @param {Array} periods - NOAA hourly periods
- * @returns {Array<{startTime: Date, periods: Array}>}
+ * Build a slot timeline covering one or more forecasts
+ * The timeline starts at the slot boundary before the earliest period of any
+ * forecast, so several resorts can share the same columns. Slot boundaries
+ * follow the wall clock of the given time zone, so a 6AM boundary stays at
+ * 6AM across DST changes.
+ * @param {Array<Array>} periodLists - Hourly periods of each forecast
+ * @param {object} [options] - Same slot options as transformForecast
+ * @returns {Array<{startTime: Date, endTime: Date, label: string, timeLabel: string, dayLabel: string}>}
  */
-function groupIntoSlots(periods) {
-  if (!periods || periods.length === 0) return [];
-
-  const slots = [];
-  const now = new Date();
+export function buildTimeline(periodLists, options = {}) {
+  const { hoursPerSlot, offsetHours, days, timeZone } = { ...DEFAULT_OPTIONS, ...options };
 
-  // Find the first slot start (round down to nearest 4-hour boundary)
-  const firstPeriodTime = new Date(periods[0].startTime);
-  const startHour = Math.floor(firstPeriodTime.getHours() / HOURS_PER_SLOT) * HOURS_PER_SLOT;
-  const slotStart = new Date(firstPeriodTime);
-  slotStart.setHours(startHour, 0, 0, 0);
+  const firstTimes = periodLists
+    .filter(periods => periods && periods.length > 0)
+    .map(periods => new Date(periods[0].startTime).getTime());
+  if (firstTimes.length === 0) return [];
 
-  for (let i = 0; i < TOTAL_SLOTS; i++) {
-    const slotStartTime = new Date(slotStart.getTime() + i * HOURS_PER_SLOT * 60 * 60 * 1000);
-    const slotEndTime = new Date(slotStartTime.getTime() + HOURS_PER_SLOT * 60 * 60 * 1000);
+  const totalSlots = Math.ceil(days * 24 / hoursPerSlot);
 
-    const slotPeriods = periods.filter(period => {
-      const periodTime = new Date(period.startTime);
-      return periodTime >= slotStartTime && periodTime < slotEndTime;
-    });
+  // Find the first slot start (round down to the nearest slot boundary,
+  // boundaries falling at offsetHours + n * hoursPerSlot)
+  const first = getZonedParts(new Date(Math.min(...firstTimes)), timeZone);
+  const startHour = Math.floor((first.hour - offsetHours) / hoursPerSlot) * hoursPerSlot + offsetHours;
+  const slotBoundary = i => zonedTimeToDate(first.year, first.month, first.day, startHour + i * hoursPerSlot, timeZone);
 
-    slots.push({
-      startTime: slotStartTime,
-      label: formatSlotLabel(slotStartTime),
-      timeLabel: formatTimeLabel(slotStartTime),
-      dayLabel: formatDayLabel(slotStartTime),
-      periods: slotPeriods
-    });
-  }
+  return Array.from({ length: totalSlots }, (_, i) => {
+    const startTime = slotBoundary(i);
+    return {
+      startTime,
+      endTime: slotBoundary(i + 1),
+      label: formatSlotLabel(startTime, timeZone),
+      timeLabel: formatSlotTimeLabel(startTime, hoursPerSlot, timeZone),
+      dayLabel: formatDayLabel(startTime, timeZone)
+    };
+  });
+}
 
-  return slots;
+/**
+ * Assign periods to the slots of a timeline
+ * @param {Array} periods - NOAA hourly periods
+ * @param {Array} timeline - Slots from buildTimeline
+ * @returns {Array<{startTime: Date, endTime: Date, periods: Array}>}
+ */
+function groupIntoSlots(periods, timeline) {
+  return timeline.map(slot => ({
+    ...slot,
+    periods: (periods || []).filter(period => {
+      const periodTime = new Date(period.startTime);
+      return periodTime >= slot.startTime && periodTime < slot.endTime;
+    })
+  }));
 }
 
 /**
  * Transform raw forecast data for a metric
+ * Slots the forecast does not cover are marked noData rather than shown as empty values.
  * @param {Array} slots - Grouped time slots
  * @param {object} metric - Metric definition
- * @returns {Array} Array of {label, value, formattedValue}
+ * @returns {Array} Array of {label, value, formattedValue, noData}
  */
 function extractMetricValues(slots, metric) {
   return slots.map(slot => {
+    if (slot.periods.length === 0) {
+      return { label: slot.label, value: null, formattedValue: '', noData: true };
+    }
+
     const values = slot.periods.map(period => metric.extract(period));
     const aggregatedValue = aggregateValues(values, metric.aggregate);
 
     return {
       label: slot.label,
       value: aggregatedValue,
-      formattedValue: metric.format(aggregatedValue)
+      formattedValue: metric.format(aggregatedValue),
+      noData: false
     };
   });
 }
 
+/**
+ * Total each amount metric over the next 24h, 48h and 5 days
+ * @param {Array} periods - Hourly periods
+ * @param {Array} metrics - Metric definitions, only those with aggregate 'sum' are totaled
+ * @returns {Object<string, Array<{id: string, label: string, value: number|null, formattedValue: string}>>}
+ */
+function computeTotals(periods, metrics) {
+  const totals = {};
+  if (!periods || periods.length === 0) return totals;
+
+  const start = new Date(periods[0].startTime).getTime();
+  metrics.filter(metric => metric.aggregate === 'sum').forEach(metric => {
+    totals[metric.id] = TOTAL_WINDOWS.map(({ id, label, hours }) => {
+      const end = start + hours * 3600 * 1000;
+      const values = periods
+        .filter(period => new Date(period.startTime).getTime() < end)
+        .map(period => metric.extract(period));
+      const value = sumValues(values);
+      return { id, label, value, formattedValue: metric.format(value) };
+    });
+  });
+  return totals;
+}
+
+/**
+ * Group slots with precipitation into storm events
+ * A slot counts as precipitating when any amount (summed) metric reaches its
+ * stormRate over the slot, so drizzle and trace amounts do not start a storm.
+ * A lull of up to STORM_GAP_HOURS stays part of the storm (its amounts
+ * included); a longer one, or a slot without data, ends it.
+ * @param {Array} slots - Grouped time slots
+ * @param {Object} metricData - Values per metric id, as from extractMetricValues
+ * @param {Array} metrics - Metric definitions
+ * @param {string} [timeZone]
+ * @returns {Array<{startTime: Date, endTime: Date, startLabel: string, endLabel: string, totals: Object}>}
+ */
+function detectStorms(slots, metricData, metrics, timeZone) {
+  const amountMetrics = metrics.filter(metric => metric.aggregate === 'sum');
+  const storms = [];
+  let current = null;
+  let lull = null; // {hours, amounts} since the current storm's last wet slot
+
+  slots.forEach((slot, index) => {
+    const values = amountMetrics.map(metric => metricData[metric.id][index]);
+    const slotHours = (slot.endTime - slot.startTime) / HOUR_MS;
+    const wet = values.some(({ value }, i) => value > 0 && value >= (amountMetrics[i].stormRate ?? 0) * slotHours);
+
+    if (!wet) {
+      const hasData = values.every(({ noData, value }) => !noData && value !== null);
+      if (current && hasData) {
+        lull.hours += slotHours;
+        values.forEach(({ value }, i) => {
+          lull.amounts[amountMetrics[i].id] += value;
+        });
+      }
+      if (!current || !hasData || lull.hours > STORM_GAP_HOURS) {
+        current = null;
+      }
+      return;
+    }
+
+    if (!current) {
+      current = { startTime: slot.startTime, endTime: slot.endTime, amounts: {} };
+      amountMetrics.forEach(metric => {
+        current.amounts[metric.id] = 0;
+      });
+      storms.push(current);
+    } else {
+      amountMetrics.forEach(metric => {
+        current.amounts[metric.id] += lull.amounts[metric.id];
+      });
+    }
+
+    current.endTime = slot.endTime;
+    values.forEach(({ value }, i) => {
+      current.amounts[amountMetrics[i].id] += value ?? 0;
+    });
+    lull = { hours: 0, amounts: Object.fromEntries(amountMetrics.map(metric => [metric.id, 0])) };
+  });
+
+  return storms.map(({ startTime, endTime, amounts }) => {
+    const totals = {};
+    amountMetrics.forEach(metric => {
+      totals[metric.id] = { value: amounts[metric.id], formattedValue: metric.format(amounts[metric.id]) };
+    });
+    return {
+      startTime,
+      endTime,
+      startLabel: formatSlotLabel(startTime, timeZone),
+      endLabel: formatSlotLabel(endTime, timeZone),
+      totals
+    };
+  });
+}
+
+/**
+ * A metric value as a number, for metrics whose values are objects
+ * @param {object} metric
+ * @param {*} value
+ * @returns {number|null}
+ */
+function toNumber(metric, value) {
+  const number = metric.numericValue ? metric.numericValue(value) : value;
+  return typeof number === 'number' ? number : null;
+}
+
+/**
+ * Compare the current forecast with an earlier run, slot by slot and for the
+ * running totals
+ * Only metrics with a changeThreshold are compared; smaller changes count as none.
+ * The earlier run is cut to the hours the current one covers, so hours that
+ * have passed since do not count as changes.
+ * @param {Array} periods - Current hourly periods
+ * @param {Array} previousPeriods - Hourly periods of the earlier run
+ * @param {Object} metricData - Current values per metric id
+ * @param {Object} totals - Current totals per metric id
+ * @param {Array} timeline
+ * @param {Array} metrics
+ * @returns {{slots: Object<string, Array<object|null>>, totals: Object<string, Array<{id: string, label: string, delta: number}>>}}
+ *   slots holds {direction: 'up'|'down', delta, previousValue, previousFormatted} per changed slot
+ */
+function computeChanges(periods, previousPeriods, metricData, totals, timeline, metrics) {
+  const changeMetrics = metrics.filter(metric => metric.changeThreshold !== undefined);
+  const start = periods.length > 0 ? new Date(periods[0].startTime).getTime() : 0;
+  const overlapping = previousPeriods.filter(period => new Date(period.startTime).getTime() >= start);
+  const previousSlots = groupIntoSlots(overlapping, timeline);
+
+  const slots = {};
+  changeMetrics.forEach(metric => {
+    const previousValues = extractMetricValues(previousSlots, metric);
+    slots[metric.id] = metricData[metric.id].map((data, index) => {
+      const previous = previousValues[index];
+      const current = toNumber(metric, data.value);
+      const before = toNumber(metric, previous.value);
+      if (data.noData || previous.noData || current === null || before === null) return null;
+
+      const delta = current - before;
+      if (Math.abs(delta) < metric.changeThreshold) return null;
+      return {
+        direction: delta > 0 ? 'up' : 'down',
+        delta,
+        previousValue: previous.value,
+        previousFormatted: previous.formattedValue
+      };
+    });
+  });
+
+  const previousTotals = computeTotals(overlapping, metrics);
+
+  const totalChanges = {};
+  changeMetrics.filter(metric => totals[metric.id] && previousTotals[metric.id]).forEach(metric => {
+    totalChanges[metric.id] = totals[metric.id].map((total, index) => ({
+      id: total.id,
+      label: total.label,
+      delta: (total.value ?? 0) - (previousTotals[metric.id][index].value ?? 0)
+    }));
+  });
+
+  return { slots, totals: totalChanges };
+}
+
 /**
  * Transform forecast data for all metrics
  * @param {Array} periods - NOAA hourly periods
  * @param {Array} metrics - Metric definitions
- * @returns {{slots: Array, metricData: Object}}
+ * @param {object} [options]
+ * @param {number} [options.hoursPerSlot=4] - Slot size in hours
+ * @param {number} [options.offsetHours=0] - Shift of slot boundaries from midnight
+ * @param {number} [options.days=5] - Forecast horizon in days
+ * @param {string} [options.timeZone] - IANA zone for slot boundaries and labels, viewer's zone if omitted
+ * @param {Array} [options.timeline] - Shared timeline from buildTimeline, built from
+ *   these periods alone if omitted
+ * @param {Array} [options.previousPeriods] - Periods of an earlier run to compute changes against
+ * @returns {{slots: Array, metricData: Object, totals: Object, storms: Array, changes: Object|null, zoneLabel: string}}
+ *   totals holds 24h/48h/5-day sums and storms the precipitation events, for amount metrics;
+ *   changes is null without an earlier run (see computeChanges)
  */
-export function transformForecast(periods, metrics) {
-  const slots = groupIntoSlots(periods);
+export function transformForecast(periods, metrics, options = {}) {
+  const slotOptions = { ...DEFAULT_OPTIONS, ...options };
+  const timeline = slotOptions.timeline ?? buildTimeline([periods], slotOptions);
+  const slots = groupIntoSlots(periods, timeline);
 
   const metricData = {};
   metrics.forEach(metric => {
     metricData[metric.id] = extractMetricValues(slots, metric);
   });
 
+  const totals = computeTotals(periods, metrics);
+
   return {
     slots,
-    metricData
+    metricData,
+    totals,
+    storms: detectStorms(slots, metricData, metrics, slotOptions.timeZone),
+    changes: slotOptions.previousPeriods
+      ? computeChanges(periods, slotOptions.previousPeriods, metricData, totals, timeline, metrics)
+      : null,
+    zoneLabel: slots.length > 0 ? getZoneName(slots[0].startTime, slotOptions.timeZone) : ''
   };
 }
 
+/**
+ * Rate how well models agree on a slot's amount
+ * Differences within the tolerance count as agreement so "0 vs trace" is not flagged.
+ * @param {number} min
+ * @param {number} max
+ * @param {number} tolerance - Absolute difference treated as agreement
+ * @returns {'high'|'medium'|'low'}
+ */
+function getAgreement(min, max, tolerance) {
+  if (max - min <= tolerance) return 'high';
+  const ratio = (max - min) / max;
+  if (ratio <= 0.35) return 'high';
+  if (ratio <= 0.7) return 'medium';
+  return 'low';
+}
+
+/**
+ * Compare one metric across forecast models, slot by slot
+ * @param {Array<Array<{value: number|null}>>} modelValues - metricData arrays, one per model
+ * @param {object} metric - Metric definition, may set agreementTolerance
+ * @returns {Array<{min: number|null, max: number|null, mean: number|null, count: number, agreement: string|null}>}
+ */
+export function compareModelValues(modelValues, metric) {
+  const tolerance = metric.agreementTolerance ?? 0;
+  const slotCount = Math.max(0, ...modelValues.map(values => values.length));
+
+  return Array.from({ length: slotCount }, (_, index) => {
+    const values = modelValues
+      .map(values => values[index]?.value ?? null)
+      .filter(value => typeof value === 'number');
+
+    // Agreement needs at least two models with data
+    if (values.length < 2) {
+      return { min: null, max: null, mean: null, count: values.length, agreement: null };
+    }
+
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    return {
+      min,
+      max,
+      mean: average(values),
+      count: values.length,
+      agreement: getAgreement(min, max, tolerance)
+    };
+  });
+}
+
 /**
  * Get slot labels for table headers
  * @param {Array} slots
@@ -0,0 +1,193 @@
+// Forecast verification: pairs stored forecast snapshots with observed
+// station data and summarizes how far off the forecasts have been.
+// Snow is in mm and temperature in Fahrenheit throughout, as in forecast periods.
+
+import { getZonedParts } from './timeZone.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+export const LEAD_HOURS = 24; // verify forecasts made about a day ahead, the ones trips are planned on
+export const LEAD_TOLERANCE = 12; // hours either side of LEAD_HOURS a forecast may have been made
+export const SNAPSHOT_HOURS = LEAD_HOURS + LEAD_TOLERANCE; // forecast hours kept per snapshot
+const SNOW_DEPTH_LOOKBACK = 24; // hours; new snow is depth above this window's peak
+
+/**
+ * @typedef {object} VerifiedDay
+ * @property {string} date - "YYYY-MM-DD" in the resort's time zone
+ * @property {number} snowHours - Hours with both a forecast and an observed snow value
+ * @property {number} forecastSnow - Forecast snow over those hours (mm)
+ * @property {number} observedSnow - Observed new snow over those hours (mm)
+ * @property {number} tempHours - Hours with both a forecast and an observed temperature
+ * @property {number} forecastTempSum - Sum of forecast temperatures over those hours (F)
+ * @property {number} observedTempSum - Sum of observed temperatures over those hours (F)
+ */
+
+/**
+ * Reduce forecast periods to the compact hourly rows kept in a snapshot
+ * @param {Array} periods - Hourly forecast periods
+ * @param {number} fetchedAt - ms
+ * @returns {Array<[number, number, number|null]>} [hour start ms, snow mm, temperature F]
+ */
+export function toSnapshotHours(periods, fetchedAt) {
+  const horizon = fetchedAt + SNAPSHOT_HOURS * HOUR_MS;
+  return periods
+    .map(period => [new Date(period.startTime).getTime(), period.snowfallAmount ?? 0, period.temperature ?? null])
+    .filter(([time]) => time < horizon);
+}
+
+/**
+ * Pick the forecast for each hour in a range from the snapshot made closest to
+ * LEAD_HOURS before it, so every hour is judged at the same lead time rather
+ * than against a last-minute nowcast
+ * Hours with no snapshot within LEAD_TOLERANCE of that lead are left out.
+ * @param {Array<{fetchedAt: number, hours: Array}>} snapshots
+ * @param {number} start - First hour start (ms), inclusive
+ * @param {number} end - Last hour start (ms), exclusive
+ * @returns {Array<{time: number, lead: number, snow: number, temperature: number|null}>} lead in hours
+ */
+export function selectForecastHours(snapshots, start, end) {
+  const byHour = new Map();
+  snapshots.forEach(({ fetchedAt, hours }) => {
+    hours.forEach(([time, snow, temperature]) => {
+      const lead = (time - fetchedAt) / HOUR_MS;
+      if (time < start || time >= end || Math.abs(lead - LEAD_HOURS) > LEAD_TOLERANCE) return;
+
+      const chosen = byHour.get(time);
+      if (!chosen || Math.abs(lead - LEAD_HOURS) < Math.abs(chosen.lead - LEAD_HOURS)) {
+        byHour.set(time, { time, lead, snow, temperature });
+      }
+    });
+  });
+  return [...byHour.values()].sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Put observations into hour buckets, keeping the last report in each hour
+ * @param {Array<{time: number, temperature: number|null, snowDepth: number|null}>} observations
+ * @returns {Map<number, {temperature: number|null, snowDepth: number|null}>}
+ */
+function bucketObservations(observations) {
+  const buckets = new Map();
+  observations
+    .slice()
+    .sort((a, b) => a.time - b.time)
+    .forEach(({ time, temperature, snowDepth }) => {
+      const hour = Math.floor(time / HOUR_MS) * HOUR_MS;
+      const bucket = buckets.get(hour) ?? { temperature: null, snowDepth: null };
+      buckets.set(hour, {
+        temperature: temperature ?? bucket.temperature,
+        snowDepth: snowDepth ?? bucket.snowDepth
+      });
+    });
+  return buckets;
+}
+
+/**
+ * Observed new snow for an hour: depth above the highest depth of the
+ * previous day, so sensor jitter and settling are not counted as snowfall
+ * @param {Map} buckets - From bucketObservations
+ * @param {number} hour - Hour start (ms)
+ * @returns {number|null} mm, null when the station has no depth for the hour
+ */
+function getNewSnow(buckets, hour) {
+  const depth = buckets.get(hour)?.snowDepth ?? null;
+  if (depth === null) return null;
+
+  let peak = null;
+  for (let h = 1; h <= SNOW_DEPTH_LOOKBACK; h++) {
+    const previous = buckets.get(hour - h * HOUR_MS)?.snowDepth ?? null;
+    if (previous !== null && (peak === null || previous > peak)) {
+      peak = previous;
+    }
+  }
+  return peak === null ? null : Math.max(0, depth - peak);
+}
+
+/**
+ * Pair forecast hours with what the station observed
+ * Observations should start a day before the first forecast hour so new snow
+ * can be measured from the start.
+ * @param {Array<{time: number, snow: number, temperature: number|null}>} forecastHours
+ * @param {Array<{time: number, temperature: number|null, snowDepth: number|null}>} observations
+ * @returns {Array<{time: number, forecastSnow: number, observedSnow: number|null, forecastTemp: number|null, observedTemp: number|null}>}
+ */
+export function pairObservations(forecastHours, observations) {
+  const buckets = bucketObservations(observations);
+  return forecastHours.map(({ time, snow, temperature }) => ({
+    time,
+    forecastSnow: snow,
+    observedSnow: getNewSnow(buckets, time),
+    forecastTemp: temperature,
+    observedTemp: buckets.get(time)?.temperature ?? null
+  }));
+}
+
+/**
+ * Fold hourly pairs into per-day totals
+ * @param {Array<VerifiedDay>} days - Existing days, not modified
+ * @param {Array} pairs - From pairObservations
+ * @param {string} [timeZone] - Zone the days are counted in
+ * @returns {Array<VerifiedDay>} Updated days, oldest first
+ */
+export function addToDays(days, pairs, timeZone) {
+  const byDate = new Map(days.map(day => [day.date, { ...day }]));
+
+  pairs.forEach(pair => {
+    const { year, month, day } = getZonedParts(new Date(pair.time), timeZone);
+    const date = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    const record = byDate.get(date) ?? {
+      date,
+      snowHours: 0,
+      forecastSnow: 0,
+      observedSnow: 0,
+      tempHours: 0,
+      forecastTempSum: 0,
+      observedTempSum: 0
+    };
+
+    if (pair.observedSnow !== null) {
+      record.snowHours++;
+      record.forecastSnow += pair.forecastSnow;
+      record.observedSnow += pair.observedSnow;
+    }
+    if (pair.forecastTemp !== null && pair.observedTemp !== null) {
+      record.tempHours++;
+      record.forecastTempSum += pair.forecastTemp;
+      record.observedTempSum += pair.observedTemp;
+    }
+    byDate.set(date, record);
+  });
+
+  return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Mean error and mean absolute error of forecast minus observed
+ * @param {Array<number>} errors
+ * @returns {{count: number, bias: number|null, mae: number|null}}
+ */
+function summarizeErrors(errors) {
+  if (errors.length === 0) {
+    return { count: 0, bias: null, mae: null };
+  }
+  const sum = errors.reduce((total, error) => total + error, 0);
+  const absolute = errors.reduce((total, error) => total + Math.abs(error), 0);
+  return { count: errors.length, bias: sum / errors.length, mae: absolute / errors.length };
+}
+
+/**
+ * Bias stats over every verified day: daily snow totals and daily mean temperature
+ * A positive bias means the forecast ran high.
+ * @param {Array<VerifiedDay>} days
+ * @returns {{snow: {count: number, bias: number|null, mae: number|null}, temperature: {count: number, bias: number|null, mae: number|null}}}
+ *   snow in mm/day, temperature in F
+ */
+export function summarizeBias(days) {
+  return {
+    snow: summarizeErrors(days
+      .filter(day => day.snowHours > 0)
+      .map(day => day.forecastSnow - day.observedSnow)),
+    temperature: summarizeErrors(days
+      .filter(day => day.tempHours > 0)
+      .map(day => (day.forecastTempSum - day.observedTempSum) / day.tempHours))
+  };
+}
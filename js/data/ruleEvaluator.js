@@ -0,0 +1,142 @@
+// Evaluates user threshold rules against transformed forecast data
+// A rule matches at most once per resort and forecast day, at its most extreme
+// value, so a long storm does not raise one match per slot.
+
+import { getRuleType, formatRuleValue } from '../config/alertRules.js';
+import { getMetrics } from '../config/metrics.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const snowLevelMetric = getMetrics().find(metric => metric.id === 'snow-level');
+
+/**
+ * Snow over every 24h window of consecutive slots, keyed to the window's first slot
+ * @param {object} transformedData
+ * @returns {Array<{slot: object, value: number|null}>} mm
+ */
+function getRollingSnow(transformedData) {
+  const { slots, metricData } = transformedData;
+  const values = metricData['snow-amount'];
+  if (!values || slots.length === 0) return [];
+
+  const hoursPerSlot = (slots[0].endTime - slots[0].startTime) / HOUR_MS;
+  const windowSize = Math.max(1, Math.round(24 / hoursPerSlot));
+
+  return slots.slice(0, Math.max(0, slots.length - windowSize + 1)).map((slot, index) => {
+    const window = values.slice(index, index + windowSize);
+    const value = window.some(data => data.noData)
+      ? null
+      : window.reduce((total, data) => total + (data.value ?? 0), 0);
+    return { slot, value };
+  });
+}
+
+/**
+ * Lowest hourly snow level in each slot; the slot average would hide a short dip
+ * Levels estimated from temperature are left out: the heuristic reads 0 ft
+ * whenever it is freezing, which would match every low snow level rule.
+ * @param {object} transformedData
+ * @returns {Array<{slot: object, value: number|null}>} ft
+ */
+function getLowestSnowLevels({ slots }) {
+  return slots.map(slot => {
+    const levels = slot.periods
+      .map(period => snowLevelMetric.extract(period))
+      .filter(value => value && !value.estimated)
+      .map(({ level }) => level);
+    return { slot, value: levels.length > 0 ? Math.min(...levels) : null };
+  });
+}
+
+// Per rule type: the slot values a rule is compared against, in base units
+const RULE_VALUES = {
+  'snow-24h': getRollingSnow,
+  gust: ({ slots, metricData }) => slots.map((slot, index) => ({
+    slot,
+    value: metricData.wind?.[index].value?.gust ?? null
+  })),
+  'snow-level': getLowestSnowLevels
+};
+
+/**
+ * Whether a value passes a rule's threshold
+ * @param {number} value
+ * @param {string} operator - 'gte' or 'lte'
+ * @param {number} threshold
+ * @returns {boolean}
+ */
+function meetsThreshold(value, operator, threshold) {
+  return operator === 'lte' ? value <= threshold : value >= threshold;
+}
+
+/**
+ * @typedef {object} RuleMatch
+ * @property {string} key - Stable id of the match: rule, resort and forecast day
+ * @property {object} rule
+ * @property {object} resort
+ * @property {object} point - Forecast point with the most extreme value
+ * @property {object} slot - Slot the value was found in (first slot of a 24h window)
+ * @property {number} value - Base units
+ */
+
+/**
+ * Find every match of the rules in the shown forecasts
+ * @param {Array<{id: string, typeId: string, resortId: string|null, value: number}>} rules
+ * @param {Array} resortData - {resort, points: [{point, transformedData}]} entries
+ * @returns {Array<RuleMatch>}
+ */
+export function evaluateRules(rules, resortData) {
+  const matches = [];
+
+  rules.forEach(rule => {
+    const type = getRuleType(rule.typeId);
+    if (!type) return;
+
+    resortData
+      .filter(({ resort }) => rule.resortId === null || resort.id === rule.resortId)
+      .forEach(({ resort, points }) => {
+        const byDay = new Map();
+        points.filter(({ transformedData }) => transformedData).forEach(({ point, transformedData }) => {
+          RULE_VALUES[type.id](transformedData).forEach(({ slot, value }) => {
+            if (value === null || !meetsThreshold(value, type.operator, rule.value)) return;
+
+            const best = byDay.get(slot.dayLabel);
+            if (!best || meetsThreshold(value, type.operator, best.value)) {
+              byDay.set(slot.dayLabel, { point, slot, value });
+            }
+          });
+        });
+
+        byDay.forEach(({ point, slot, value }, dayLabel) => {
+          matches.push({ key: `${rule.id}:${resort.id}:${dayLabel}`, rule, resort, point, slot, value });
+        });
+      });
+  });
+
+  return matches;
+}
+
+/**
+ * Describe a rule, e.g. "Snow in 24h ≥ 8 in"
+ * @param {{typeId: string, value: number}} rule
+ * @param {string} unitSystem
+ * @returns {string}
+ */
+export function describeRule(rule, unitSystem) {
+  const type = getRuleType(rule.typeId);
+  if (!type) return rule.typeId;
+  const operator = type.operator === 'lte' ? '≤' : '≥';
+  return `${type.label} ${operator} ${formatRuleValue(type, rule.value, unitSystem)}`;
+}
+
+/**
+ * Describe a match, e.g. "Mt. Baker Summit: Snow in 24h 9.1 in from Sat 4AM"
+ * @param {RuleMatch} match
+ * @param {string} unitSystem
+ * @returns {string}
+ */
+export function describeMatch({ rule, resort, point, slot, value }, unitSystem) {
+  const type = getRuleType(rule.typeId);
+  const place = point.name && point.name !== resort.name ? `${resort.name} ${point.name}` : resort.name;
+  const when = type.id === 'snow-24h' ? `from ${slot.label}` : slot.label;
+  return `${place}: ${type.label} ${formatRuleValue(type, value, unitSystem)} ${when}`;
+}
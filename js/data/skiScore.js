@@ -0,0 +1,195 @@
+// Ski quality score per slot and per day, and resort ranking
+// Scores are computed from the same metric extract/aggregate pipeline as the
+// table, so they always agree with what the cells show.
+
+import { transformForecast } from './forecastTransformer.js';
+import { scoreWeights, FULL_SCORE_SNOW_PER_DAY, SNOW_LEVEL_MARGIN } from '../config/scoring.js';
+
+const MM_PER_INCH = 25.4;
+
+/**
+ * Clamp a value to the 0-1 range
+ * @param {number} value
+ * @returns {number}
+ */
+function clamp01(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+/**
+ * Rate new snow, normalized to a 24h rate so any slot size compares fairly
+ * @param {number|null} snowMm - Snow in the slot (mm)
+ * @param {number} hoursPerSlot
+ * @returns {number}
+ */
+function rateNewSnow(snowMm, hoursPerSlot) {
+  const perDay = (snowMm ?? 0) / MM_PER_INCH * 24 / hoursPerSlot;
+  return clamp01(perDay / FULL_SCORE_SNOW_PER_DAY);
+}
+
+/**
+ * Rate the snow level against the base elevation: 1 well below base, 0 well above
+ * @param {{level: number}|null} snowLevel - Snow level (ft)
+ * @param {number|null} baseElevation - ft
+ * @returns {number|null} null when either is unknown
+ */
+function rateSnowLevel(snowLevel, baseElevation) {
+  if (!snowLevel || snowLevel.level === null || baseElevation === null) return null;
+  const margin = baseElevation - snowLevel.level;
+  return clamp01(0.5 + margin / (2 * SNOW_LEVEL_MARGIN));
+}
+
+/**
+ * Rate temperature (F): best from 10 to 28, worse as it warms toward 40,
+ * mildly worse when bitterly cold
+ * @param {number|null} temp
+ * @returns {number|null}
+ */
+function rateTemperature(temp) {
+  if (temp === null) return null;
+  if (temp > 28) return clamp01(1 - (temp - 28) / 12);
+  if (temp < 10) return Math.max(0.4, 1 - (10 - temp) / 30);
+  return 1;
+}
+
+/**
+ * Rate wind by gust (or sustained speed when gusts are unknown), mph
+ * @param {{speed: number|null, gust: number|null}|null} wind
+ * @returns {number|null}
+ */
+function rateWind(wind) {
+  const speed = wind?.gust ?? wind?.speed ?? null;
+  if (speed === null) return null;
+  return clamp01(1 - (speed - 15) / 30);
+}
+
+/**
+ * Rate precipitation type from the conditions text
+ * @param {string|null} conditions
+ * @returns {number|null}
+ */
+function ratePrecipType(conditions) {
+  if (!conditions) return null;
+  const lower = conditions.toLowerCase();
+  if (lower.includes('freezing') || lower.includes('sleet')) return 0.1;
+  if (lower.includes('snow') && lower.includes('rain')) return 0.3;
+  if (lower.includes('snow') || lower.includes('blizzard')) return 1;
+  if (lower.includes('rain') || lower.includes('showers') || lower.includes('drizzle')) return 0;
+  return 0.6; // dry
+}
+
+/**
+ * Score one slot from its aggregated metric values
+ * Factors with no data are left out rather than counted as zero.
+ * @param {Object<string, *>} values - Aggregated value per metric id
+ * @param {{hoursPerSlot: number, baseElevation: number|null, weights: object}} options
+ * @returns {number|null} 0-100
+ */
+function scoreSlot(values, { hoursPerSlot, baseElevation, weights }) {
+  const ratings = {
+    newSnow: rateNewSnow(values['snow-amount'], hoursPerSlot),
+    snowLevel: rateSnowLevel(values['snow-level'], baseElevation),
+    temperature: rateTemperature(values.temperature ?? null),
+    wind: rateWind(values.wind),
+    precipType: ratePrecipType(values.conditions)
+  };
+
+  let total = 0;
+  let weightSum = 0;
+  Object.entries(ratings).forEach(([factor, rating]) => {
+    const weight = weights[factor] ?? 0;
+    if (rating === null || weight === 0) return;
+    total += rating * weight;
+    weightSum += weight;
+  });
+
+  return weightSum === 0 ? null : Math.round(total / weightSum * 100);
+}
+
+/**
+ * Score every slot of a transformed forecast
+ * @param {{slots: Array, metricData: Object}} transformedData
+ * @param {object} options - See scoreSlot
+ * @returns {Array<number|null>} One score per slot, null where there is no data
+ */
+function scoreSlots(transformedData, options) {
+  return transformedData.slots.map((slot, index) => {
+    if (slot.periods.length === 0) return null;
+
+    const values = {};
+    Object.entries(transformedData.metricData).forEach(([id, metricValues]) => {
+      values[id] = metricValues[index].value;
+    });
+    return scoreSlot(values, options);
+  });
+}
+
+/**
+ * Compute ski quality scores for a forecast point
+ * Runs the metric pipeline twice: once on the display timeline for slot
+ * scores and once on a daily timeline for day scores.
+ * @param {Array} periods - Hourly periods
+ * @param {Array} metrics - Full metric definitions (scores need every metric, not just visible ones)
+ * @param {object} options
+ * @param {object} options.transformOptions - Display slot options including the shared timeline
+ * @param {Array} options.dailyTimeline - 24h timeline from buildTimeline
+ * @param {number|null} options.baseElevation - Resort base elevation (ft)
+ * @param {object} [options.weights] - Overrides for scoreWeights
+ * @returns {{slots: Array<number|null>, days: Array<{dayLabel: string, startTime: Date, score: number|null}>}}
+ */
+export function scoreForecast(periods, metrics, { transformOptions, dailyTimeline, baseElevation, weights = scoreWeights }) {
+  const slotData = transformForecast(periods, metrics, transformOptions);
+  const dailyData = transformForecast(periods, metrics, {
+    ...transformOptions,
+    hoursPerSlot: 24,
+    offsetHours: 0,
+    timeline: dailyTimeline
+  });
+
+  const slots = scoreSlots(slotData, { hoursPerSlot: transformOptions.hoursPerSlot, baseElevation, weights });
+  const dayScores = scoreSlots(dailyData, { hoursPerSlot: 24, baseElevation, weights });
+
+  return {
+    slots,
+    days: dailyData.slots.map((slot, index) => ({
+      dayLabel: slot.dayLabel,
+      startTime: slot.startTime,
+      score: dayScores[index]
+    }))
+  };
+}
+
+/**
+ * Average the scores of several forecast points of a resort, slot by slot
+ * @param {Array<{slots: Array, days: Array}>} pointScores
+ * @returns {{slots: Array<number|null>, days: Array}|null}
+ */
+export function combinePointScores(pointScores) {
+  if (pointScores.length === 0) return null;
+
+  const averageAt = (list, index) => {
+    const values = list.map(scores => scores[index]).filter(score => score !== null && score !== undefined);
+    return values.length === 0 ? null : Math.round(values.reduce((a, b) => a + b, 0) / values.length);
+  };
+
+  const first = pointScores[0];
+  return {
+    slots: first.slots.map((_, index) => averageAt(pointScores.map(scores => scores.slots), index)),
+    days: first.days.map((day, index) => ({
+      ...day,
+      score: averageAt(pointScores.map(scores => scores.days.map(d => d.score)), index)
+    }))
+  };
+}
+
+/**
+ * Order resorts by their score for one day, best first, resorts without a score last
+ * @param {Array<{resort: object, scores: {days: Array}}>} resortScores
+ * @param {number} dayIndex - Index into the daily timeline
+ * @returns {Array<{resort: object, score: number|null}>}
+ */
+export function rankResorts(resortScores, dayIndex) {
+  return resortScores
+    .map(({ resort, scores }) => ({ resort, score: scores?.days[dayIndex]?.score ?? null }))
+    .sort((a, b) => (b.score ?? -1) - (a.score ?? -1));
+}
@@ -0,0 +1,83 @@
+// Wall-clock helpers for IANA time zones
+// A timeZone of undefined means the viewer's own zone throughout.
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Intl formatters are expensive to create, keep one per zone
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  const key = timeZone ?? '';
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric'
+    }));
+  }
+  return formatters.get(key);
+}
+
+/**
+ * Get the wall-clock date parts of an instant in a time zone
+ * @param {Date} date
+ * @param {string} [timeZone] - IANA zone, e.g. "America/Los_Angeles"
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, weekday: string}}
+ */
+export function getZonedParts(date, timeZone) {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = parseInt(value, 10);
+  });
+
+  // Weekday from the wall-clock date, so it cannot disagree with day/month
+  const weekday = DAY_NAMES[new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay()];
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    weekday
+  };
+}
+
+/**
+ * Convert a wall-clock time in a time zone to an instant
+ * Out-of-range fields roll over like Date.UTC (hour 26 is 2AM the next day).
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {number} day
+ * @param {number} hour
+ * @param {string} [timeZone]
+ * @returns {Date}
+ */
+export function zonedTimeToDate(year, month, day, hour, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour);
+
+  // Guess with the offset at the wall-clock time, then correct once for DST edges
+  let instant = wallClock;
+  for (let i = 0; i < 2; i++) {
+    const parts = getZonedParts(new Date(instant), timeZone);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+    instant += wallClock - asUtc;
+  }
+  return new Date(instant);
+}
+
+/**
+ * Get the short name of a time zone at an instant
+ * @param {Date} date
+ * @param {string} [timeZone]
+ * @returns {string} e.g., "PST"
+ */
+export function getZoneName(date, timeZone) {
+  const part = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+    .formatToParts(date)
+    .find(({ type }) => type === 'timeZoneName');
+  return part ? part.value : '';
+}
@@ -1,34 +1,115 @@
 // Main application entry point
 
-import { resorts } from './config/resorts.js';
-import { getMetrics } from './config/metrics.js';
-import { fetchAllForecasts } from './api/weatherApi.js';
-import { transformForecast } from './data/forecastTransformer.js';
+import { resorts as builtInResorts } from './config/resorts.js';
+import { getMetrics, metricPresets } from './config/metrics.js';
+import { comparisonModels } from './config/models.js';
+import { slotSizes, getSlotSize, DEFAULT_SLOT_SIZE, DEFAULT_DAYS, MAX_DAYS } from './config/slotSizes.js';
+import {
+  fetchAllForecasts,
+  fetchAllAlerts,
+  fetchDiscussions,
+  fetchAvalancheForecasts,
+  fetchPassConditions,
+  verifyForecasts,
+  loadVerificationResults,
+  fetchModelForecasts,
+  getStoredForecasts
+} from './api/weatherApi.js';
+import { transformForecast, buildTimeline, compareModelValues } from './data/forecastTransformer.js';
+import { scoreForecast, combinePointScores, rankResorts } from './data/skiScore.js';
+import { evaluateRules, describeMatch } from './data/ruleEvaluator.js';
+import { toCsv, toJson, toIcs } from './data/forecastExport.js';
 import {
   createCombinedForecastTable,
+  createChangeSummary,
   createErrorElement,
+  createGlobalError,
+  createMissingResortsNotice,
   clearContainer,
   showLoading
 } from './ui/tableRenderer.js';
+import { createRankingPanel } from './ui/rankingRenderer.js';
+import { createSettingsPanel } from './ui/settingsPanel.js';
+import { createMetricPicker } from './ui/metricPicker.js';
+import { createDiscussionPanels } from './ui/discussionPanel.js';
+import { createVerificationPanel } from './ui/verificationPanel.js';
+import { createRulesPanel } from './ui/rulesPanel.js';
+import { createExportPanel, downloadFile } from './ui/exportPanel.js';
+import {
+  loadResortSettings,
+  saveResortSettings,
+  getOrderedResorts,
+  getActiveResorts,
+  addCustomResort,
+  removeCustomResort,
+  setResortHidden,
+  moveResort,
+  createSharedResort
+} from './storage/resortList.js';
+import { readUrlState, pushUrlState } from './storage/urlState.js';
+import { loadVisibleMetrics, saveVisibleMetrics } from './storage/metricPreferences.js';
+import {
+  loadAlertRules,
+  saveAlertRules,
+  addAlertRule,
+  removeAlertRule,
+  loadAlertLog,
+  recordAlertMatches
+} from './storage/alertRuleList.js';
 
 const REFRESH_INTERVAL = 30 * 60 * 1000; // 30 minutes
+const MAX_NOTIFICATIONS = 3; // per refresh, more matches are summarized
 
 let container;
 let lastUpdate = null;
 let cachedResults = null;
 let unitSystem = 'imperial';
+let isRefreshing = false;
+let isLoading = false; // a forecast load is in flight
+let loadQueued = false; // another load was asked for while one was in flight
+let compareMode = false;
+let comparisonResults = null;
+let alertResults = null;
+let discussionResults = null;
+let avalancheResults = null;
+let passResults = null;
+let previousRuns = new Map(); // resort id -> the last differing forecast run shown, for change highlights
+let slotSizeId = DEFAULT_SLOT_SIZE;
+let daysToShow = DEFAULT_DAYS;
+let timeZoneMode = 'resort'; // 'resort' or 'viewer'
+let rankingDayIndex = 0;
+let resortSettings = loadResortSettings();
+let resortSelection = null; // resort ids from a shared link, overrides the saved list
+let sharedResorts = []; // custom locations carried in a shared link
+let missingResortIds = []; // ids in a shared link that could not be resolved here
+let activeResorts = getActiveResorts(resortSettings);
+let visibleMetricIds = null; // null shows every metric
+let settingsOpen = false;
+let metricPickerOpen = false;
+let verificationOpen = false;
+let verificationResults = null;
+let verifiedResorts = null; // resort list verificationResults belong to
+let rulesOpen = false;
+let alertRules = loadAlertRules();
+let shownResortData = null; // resort entries of the last render, checked against the rules and exported
+let exportOpen = false;
+let chartResortIds = new Set(); // resorts drawn as charts instead of table rows
 
 /**
  * Update the last updated timestamp display
  */
 function updateTimestamp() {
   const timestampEl = document.getElementById('last-updated');
-  if (timestampEl && lastUpdate) {
+  if (timestampEl && isRefreshing) {
+    timestampEl.textContent = 'Refreshing…';
+  } else if (timestampEl && lastUpdate) {
     const timeStr = lastUpdate.toLocaleTimeString('en-US', {
       hour: 'numeric',
       minute: '2-digit'
     });
     timestampEl.textContent = `Last updated: ${timeStr}`;
+  } else if (timestampEl) {
+    timestampEl.textContent = '';
   }
 }
 
@@ -43,15 +124,311 @@ function updateToggleButton() {
   }
 }
 
+/**
+ * Update the compare toggle button text
+ */
+function updateCompareButton() {
+  const compareBtn = document.getElementById('compare-toggle');
+  if (compareBtn) {
+    compareBtn.textContent = compareMode ? 'Forecast' : 'Compare Models';
+  }
+}
+
+/**
+ * Whether every shown resort is drawn as charts
+ * @returns {boolean}
+ */
+function isAllCharts() {
+  return activeResorts.length > 0 && activeResorts.every(resort => chartResortIds.has(resort.id));
+}
+
+/**
+ * Update the table/chart toggle button text
+ */
+function updateViewButton() {
+  const viewBtn = document.getElementById('view-toggle');
+  if (viewBtn) {
+    viewBtn.textContent = isAllCharts() ? 'Table' : 'Charts';
+  }
+}
+
+/**
+ * Update the header selects to match the current view state
+ */
+function updateSlotControls() {
+  const controls = { 'slot-size': slotSizeId, 'days-select': String(daysToShow), 'time-zone': timeZoneMode };
+  Object.entries(controls).forEach(([id, value]) => {
+    const select = document.getElementById(id);
+    if (select) select.value = value;
+  });
+}
+
+/**
+ * Work out which resorts to show: a shared link's selection, else the saved list
+ * Custom locations from the link win over the user's own with the same id.
+ * Ids that cannot be resolved are noted in missingResortIds; when none can,
+ * the saved list is shown rather than an empty page.
+ * @returns {Array<object>}
+ */
+function resolveActiveResorts() {
+  missingResortIds = [];
+  if (!resortSelection) {
+    return getActiveResorts(resortSettings);
+  }
+
+  const known = [...sharedResorts, ...getOrderedResorts(resortSettings)];
+  const resolved = resortSelection.map(id => known.find(resort => resort.id === id));
+  missingResortIds = resortSelection.filter((id, index) => !resolved[index]);
+
+  const found = resolved.filter(Boolean);
+  return found.length > 0 ? found : getActiveResorts(resortSettings);
+}
+
+/**
+ * Get the metrics to show, in display order
+ * @param {Array} allMetrics - Every metric definition
+ * @returns {Array}
+ */
+function getVisibleMetrics(allMetrics) {
+  if (!visibleMetricIds) return allMetrics;
+  return visibleMetricIds
+    .map(id => allMetrics.find(metric => metric.id === id))
+    .filter(Boolean);
+}
+
+/**
+ * Describe the current view for the URL, leaving defaults out
+ * @returns {import('./storage/urlState.js').ViewState}
+ */
+function getViewState() {
+  const resortIds = activeResorts.map(resort => resort.id);
+  const isDefaultResorts = resortIds.join(',') === builtInResorts.map(resort => resort.id).join(',');
+  const places = activeResorts
+    .filter(resort => resort.custom)
+    .map(({ id, name, lat, lon, elevation, provider }) => ({ id, name, lat, lon, elevation, provider }));
+
+  return {
+    units: unitSystem === 'imperial' ? null : unitSystem,
+    resorts: isDefaultResorts ? null : resortIds,
+    places: places.length > 0 ? places : null,
+    metrics: visibleMetricIds,
+    slot: slotSizeId === DEFAULT_SLOT_SIZE ? null : slotSizeId,
+    days: daysToShow === DEFAULT_DAYS ? null : daysToShow,
+    tz: timeZoneMode === 'resort' ? null : timeZoneMode
+  };
+}
+
+/**
+ * Apply a view state read from the URL, ignoring values that are not valid here
+ * Keys missing from the state go back to their defaults.
+ * @param {import('./storage/urlState.js').ViewState} state
+ */
+function applyViewState(state) {
+  unitSystem = state.units === 'metric' ? 'metric' : 'imperial';
+  slotSizeId = slotSizes.some(size => size.id === state.slot) ? state.slot : DEFAULT_SLOT_SIZE;
+  daysToShow = state.days >= 1 && state.days <= MAX_DAYS ? state.days : DEFAULT_DAYS;
+  timeZoneMode = state.tz === 'viewer' ? 'viewer' : 'resort';
+
+  // Metrics in the link win over the user's saved choice
+  const metricIds = getMetrics().map(metric => metric.id);
+  const metrics = state.metrics?.filter(id => metricIds.includes(id));
+  visibleMetricIds = metrics && metrics.length > 0 ? metrics : loadVisibleMetrics(metricIds);
+
+  resortSelection = state.resorts && state.resorts.length > 0 ? state.resorts : null;
+  sharedResorts = (state.places ?? []).map(createSharedResort).filter(Boolean);
+  activeResorts = resolveActiveResorts();
+}
+
+/**
+ * Record the current view in the URL as a new history entry
+ */
+function recordViewState() {
+  pushUrlState(getViewState());
+}
+
+/**
+ * Get the transformer options for the selected slot size, horizon and time zone,
+ * with a timeline shared by every loaded forecast so all resorts line up
+ * @param {Array} results - Forecast results from the API layer
+ * @returns {{hoursPerSlot: number, offsetHours: number, days: number, timeZone: string|undefined, timeline: Array}}
+ */
+function getTransformOptions(results) {
+  const { hoursPerSlot, offsetHours } = getSlotSize(slotSizeId);
+  const loadedPoints = results.flatMap(result => result.points).filter(point => !point.error);
+
+  // Resort time uses the first resort's zone (the table has a single time axis);
+  // undefined means the viewer's zone
+  const resortZone = loadedPoints.find(point => point.meta?.timeZone)?.meta.timeZone;
+  const timeZone = timeZoneMode === 'resort' ? resortZone : undefined;
+
+  const options = { hoursPerSlot, offsetHours, days: daysToShow, timeZone };
+  const timeline = buildTimeline(loadedPoints.map(point => point.periods), options);
+  return { ...options, timeline };
+}
+
+/**
+ * Fill the slot size and horizon selects from config
+ */
+function initSlotControls() {
+  const slotSelect = document.getElementById('slot-size');
+  if (slotSelect) {
+    slotSizes.forEach(size => {
+      slotSelect.appendChild(new Option(size.label, size.id, false, size.id === slotSizeId));
+    });
+    slotSelect.addEventListener('change', () => {
+      slotSizeId = slotSelect.value;
+      recordViewState();
+      renderForecast();
+    });
+  }
+
+  const daysSelect = document.getElementById('days-select');
+  if (daysSelect) {
+    for (let days = 1; days <= MAX_DAYS; days++) {
+      const label = days === 1 ? '1 day' : `${days} days`;
+      daysSelect.appendChild(new Option(label, String(days), false, days === daysToShow));
+    }
+    daysSelect.addEventListener('change', () => {
+      daysToShow = parseInt(daysSelect.value, 10);
+      recordViewState();
+      renderForecast();
+    });
+  }
+
+  const timeZoneSelect = document.getElementById('time-zone');
+  if (timeZoneSelect) {
+    timeZoneSelect.value = timeZoneMode;
+    timeZoneSelect.addEventListener('change', () => {
+      timeZoneMode = timeZoneSelect.value;
+      recordViewState();
+      renderForecast();
+    });
+  }
+}
+
+/**
+ * Build per-model snow values and their spread for one resort point
+ * @param {string} resortId
+ * @param {number} pointIndex
+ * @param {object} snowMetric - The snow-amount metric definition
+ * @param {object} transformOptions - Options (and shared timeline) used for the point's own forecast
+ * @returns {{models: Array, spread: Array}|null}
+ */
+function buildPointComparison(resortId, pointIndex, snowMetric, transformOptions) {
+  const entry = comparisonResults?.find(result => result.resort.id === resortId);
+  if (!entry) return null;
+
+  const models = entry.models.map(({ model, points }) => {
+    const { periods, error } = points[pointIndex];
+    const values = error
+      ? null
+      : transformForecast(periods, [snowMetric], transformOptions).metricData[snowMetric.id];
+    return { model, values, error };
+  });
+
+  const spread = compareModelValues(
+    models.filter(({ values }) => values).map(({ values }) => values),
+    snowMetric
+  );
+
+  return { models, spread };
+}
+
+/**
+ * Compute a resort's ski scores, averaged over its loaded forecast points
+ * Snow level is judged against the resort's base (its first, lowest point).
+ * @param {object} result - Resort result from the API layer
+ * @param {Array} metrics - Full metric definitions
+ * @param {object} transformOptions - Display slot options with the shared timeline
+ * @param {Array} dailyTimeline - Shared 24h timeline
+ * @returns {{slots: Array<number|null>, days: Array}|null}
+ */
+function buildResortScores(result, metrics, transformOptions, dailyTimeline) {
+  const baseElevation = result.points[0]?.point.elevation ?? null;
+  const pointScores = result.points
+    .filter(({ error }) => !error)
+    .map(({ periods }) => scoreForecast(periods, metrics, { transformOptions, dailyTimeline, baseElevation }));
+  return combinePointScores(pointScores);
+}
+
+/**
+ * Get the NWS forecast office serving a resort
+ * @param {object} result - Resort result from the API layer
+ * @returns {string|null} e.g. "SEW", null for resorts outside NWS coverage
+ */
+function getResortOffice(result) {
+  return result.points.find(point => point.meta?.gridId)?.meta.gridId ?? null;
+}
+
+/**
+ * Whether a new forecast run differs from the one shown, over the hours both cover
+ * @param {object} shown - Resort result currently shown
+ * @param {object} next - Newly fetched resort result
+ * @returns {boolean}
+ */
+function hasForecastChanged(shown, next) {
+  return next.points.some((point, index) => {
+    const before = shown.points[index];
+    if (!before || before.error || point.error) return false;
+
+    const previousByStart = new Map(before.periods.map(period => [period.startTime, period]));
+    return point.periods.some(period => {
+      const previous = previousByStart.get(period.startTime);
+      return previous !== undefined && (
+        previous.snowfallAmount !== period.snowfallAmount
+        || previous.temperature !== period.temperature
+        || previous.snowLevel !== period.snowLevel
+      );
+    });
+  });
+}
+
+/**
+ * Keep the run being replaced for each resort whose forecast changed, so the
+ * table can show what changed since the last check
+ * @param {Array} results - Newly fetched resort results
+ */
+function rememberPreviousRuns(results) {
+  if (!cachedResults) return;
+
+  results.forEach(result => {
+    const shown = cachedResults.find(entry => entry.resort.id === result.resort.id);
+    if (shown && !shown.error && !result.error && hasForecastChanged(shown, result)) {
+      previousRuns.set(result.resort.id, shown);
+    }
+  });
+}
+
+/**
+ * Select the day the ranking panel is ordered by
+ * @param {number} dayIndex
+ */
+function selectRankingDay(dayIndex) {
+  rankingDayIndex = dayIndex;
+  renderForecast();
+}
+
 /**
  * Render the forecast table with current unit system
  */
 function renderForecast() {
   if (!cachedResults) return;
 
+  // Keep open discussion and alert panels open across re-renders
+  const openPanelIds = [...container.querySelectorAll('.discussion-panel[open]')].map(panel => panel.id);
+  const openAlertResortIds = [...container.querySelectorAll('.alert-panel-row:not([hidden])')]
+    .map(row => row.dataset.resortId);
   clearContainer(container);
 
-  const metrics = getMetrics(unitSystem);
+  // Scores and model comparison work from every metric, the table shows the visible ones
+  const allMetrics = getMetrics(unitSystem);
+  const metrics = getVisibleMetrics(allMetrics);
+  const snowMetric = allMetrics.find(metric => metric.id === 'snow-amount');
+  const transformOptions = getTransformOptions(cachedResults);
+  const dailyTimeline = buildTimeline(
+    cachedResults.flatMap(result => result.points).filter(point => !point.error).map(point => point.periods),
+    { ...transformOptions, hoursPerSlot: 24, offsetHours: 0 }
+  );
 
   // Separate successful and failed results
   const successfulResults = [];
@@ -61,48 +438,185 @@ function renderForecast() {
     if (result.error) {
       failedResults.push(result);
     } else {
-      const transformedData = transformForecast(result.periods, metrics);
-      successfulResults.push({ resort: result.resort, transformedData });
+      const previousRun = previousRuns.get(result.resort.id);
+      const points = result.points.map(({ point, periods, error, errorType, stale, fetchedAt }, index) => {
+        const previous = previousRun?.points[index];
+        return {
+          point,
+          error,
+          errorType,
+          stale,
+          fetchedAt,
+          previousFetchedAt: previous && !previous.error ? previous.fetchedAt : null,
+          transformedData: error ? null : transformForecast(periods, allMetrics, {
+            ...transformOptions,
+            previousPeriods: previous && !previous.error ? previous.periods : undefined
+          }),
+          comparison: compareMode
+            ? buildPointComparison(result.resort.id, index, snowMetric, transformOptions)
+            : null
+        };
+      });
+      successfulResults.push({
+        resort: result.resort,
+        points,
+        scores: buildResortScores(result, allMetrics, transformOptions, dailyTimeline),
+        alerts: alertResults?.find(entry => entry.resort.id === result.resort.id)?.alerts ?? [],
+        office: getResortOffice(result),
+        avalanche: avalancheResults?.find(entry => entry.resort.id === result.resort.id) ?? null,
+        pass: passResults?.find(entry => entry.resort.id === result.resort.id) ?? null
+      });
     }
   });
 
+  shownResortData = successfulResults;
+
+  if (missingResortIds.length > 0) {
+    container.appendChild(createMissingResortsNotice(missingResortIds));
+  }
+
   // Show errors first
   failedResults.forEach(result => {
-    const element = createErrorElement(result.resort.name, result.error);
+    const element = createErrorElement(result.resort.name, result.error, result.errorType);
     container.appendChild(element);
   });
 
+  // Rank resorts by ski score for the selected day
+  if (successfulResults.length > 0 && dailyTimeline.length > 0) {
+    rankingDayIndex = Math.min(rankingDayIndex, dailyTimeline.length - 1);
+    const ranking = rankResorts(successfulResults, rankingDayIndex);
+    container.appendChild(createRankingPanel(ranking, dailyTimeline, rankingDayIndex, selectRankingDay));
+  }
+
+  // e.g. "Since last check: Mt. Baker 48h snow +3.0 in since 6 AM"
+  const changeSummary = createChangeSummary(successfulResults, snowMetric);
+  if (changeSummary) {
+    container.appendChild(changeSummary);
+  }
+
   // Create combined table for successful results
   if (successfulResults.length > 0) {
-    const combinedTable = createCombinedForecastTable(successfulResults, metrics);
+    const combinedTable = createCombinedForecastTable(successfulResults, metrics, {
+      unitSystem,
+      compareMode,
+      allMetrics,
+      chartResortIds,
+      onToggleChart: toggleResortChart,
+      discussionOffices: new Set((discussionResults ?? []).filter(entry => entry.discussion).map(entry => entry.office))
+    });
     container.appendChild(combinedTable);
+    combinedTable.querySelectorAll('.alert-panel-row').forEach(row => {
+      if (openAlertResortIds.includes(row.dataset.resortId)) row.hidden = false;
+    });
+  }
+
+  // Forecast discussions of the offices serving the shown resorts
+  if (discussionResults && discussionResults.length > 0) {
+    container.appendChild(createDiscussionPanels(discussionResults));
+    openPanelIds.forEach(id => {
+      const panel = document.getElementById(id);
+      if (panel) panel.open = true;
+    });
   }
 }
 
 /**
  * Load and display forecasts for all resorts
+ * Only one load runs at a time: the interval, the online event and the Refresh
+ * button asking while one is in flight queue a single follow-up load, so
+ * overlapping runs never race to replace the shown results.
  */
 async function loadForecasts() {
-  showLoading(container);
+  if (isLoading) {
+    loadQueued = true;
+    return;
+  }
+
+  isLoading = true;
+  try {
+    await refreshForecasts();
+  } finally {
+    isLoading = false;
+  }
+
+  if (loadQueued) {
+    loadQueued = false;
+    loadForecasts();
+  }
+}
+
+/**
+ * Fetch and display forecasts for the active resorts
+ * Renders the last stored forecast first (stale-while-revalidate) so the page
+ * is usable immediately and stays usable when NOAA is down or we are offline.
+ */
+async function refreshForecasts() {
+  if (!cachedResults) {
+    const stored = getStoredForecasts(activeResorts);
+    if (stored.some(result => !result.error)) {
+      cachedResults = stored;
+      renderForecast();
+    } else {
+      showLoading(container);
+    }
+  }
+
+  isRefreshing = true;
+  updateTimestamp();
 
+  const requestedResorts = activeResorts;
+  let hasFreshData = false;
   try {
-    cachedResults = await fetchAllForecasts(resorts);
+    const results = await fetchAllForecasts(requestedResorts);
+    if (compareMode) {
+      comparisonResults = await fetchModelForecasts(requestedResorts, comparisonModels);
+    }
+
+    // The resort list changed while fetching; the newer load will render
+    if (requestedResorts !== activeResorts) return;
 
+    rememberPreviousRuns(results);
+    cachedResults = results;
     renderForecast();
 
-    lastUpdate = new Date();
+    // Only count as updated if at least one point came from NOAA rather than storage
+    hasFreshData = cachedResults.some(result =>
+      result.points.some(point => !point.error && !point.stale)
+    );
+    if (hasFreshData) {
+      lastUpdate = new Date();
+    }
+    isRefreshing = false;
     updateTimestamp();
 
+    // Alerts, discussions, avalanche danger and pass conditions come after the
+    // forecasts so they never hold up the table
+    const offices = [...new Set(cachedResults.map(getResortOffice).filter(Boolean))];
+    const [alerts, discussions, avalanche, passes] = await Promise.all([
+      fetchAllAlerts(requestedResorts),
+      fetchDiscussions(offices),
+      fetchAvalancheForecasts(requestedResorts),
+      fetchPassConditions(requestedResorts)
+    ]);
+    if (requestedResorts !== activeResorts) return;
+    alertResults = alerts;
+    discussionResults = discussions;
+    avalancheResults = avalanche;
+    passResults = passes;
+    renderForecast();
+
   } catch (error) {
+    isRefreshing = false;
+    updateTimestamp();
     console.error('Failed to load forecasts:', error);
-    container.innerHTML = `
-      <div class="global-error">
-        <span class="error-icon">⚠️</span>
-        <h2>Failed to load forecasts</h2>
-        <p>${error.message}</p>
-        <button onclick="location.reload()">Retry</button>
-      </div>
-    `;
+    clearContainer(container);
+    container.appendChild(createGlobalError(error.message, () => location.reload()));
+  } finally {
+    // Kept out of the try so a failing rule check never replaces the forecast table
+    if (hasFreshData) {
+      checkAlertRules();
+      verifyInBackground();
+    }
   }
 }
 
@@ -112,9 +626,350 @@ async function loadForecasts() {
 function toggleUnits() {
   unitSystem = unitSystem === 'imperial' ? 'metric' : 'imperial';
   updateToggleButton();
+  recordViewState();
+  renderMetricPicker();
+  renderVerification();
+  renderRules();
+  renderExport();
+  renderForecast();
+}
+
+/**
+ * Toggle the side-by-side model comparison view
+ * Comparison models are only fetched once the view is first opened.
+ */
+async function toggleCompare() {
+  compareMode = !compareMode;
+  updateCompareButton();
+
+  if (compareMode && !comparisonResults) {
+    isRefreshing = true;
+    updateTimestamp();
+    comparisonResults = await fetchModelForecasts(activeResorts, comparisonModels);
+    isRefreshing = false;
+    updateTimestamp();
+  }
+
+  renderForecast();
+}
+
+/**
+ * Switch every resort between table rows and charts
+ */
+function toggleChartView() {
+  chartResortIds = isAllCharts() ? new Set() : new Set(activeResorts.map(resort => resort.id));
+  updateViewButton();
+  renderForecast();
+}
+
+/**
+ * Switch one resort between table rows and charts
+ * @param {string} resortId
+ */
+function toggleResortChart(resortId) {
+  if (chartResortIds.has(resortId)) {
+    chartResortIds.delete(resortId);
+  } else {
+    chartResortIds.add(resortId);
+  }
+  updateViewButton();
+  renderForecast();
+}
+
+/**
+ * Render the resort list settings panel, if open
+ */
+function renderSettings() {
+  const panelContainer = document.getElementById('settings-panel');
+  if (!panelContainer) return;
+
+  panelContainer.hidden = !settingsOpen;
+  panelContainer.innerHTML = '';
+  if (!settingsOpen) return;
+
+  panelContainer.appendChild(createSettingsPanel(getOrderedResorts(resortSettings), resortSettings.hidden, {
+    onAdd: location => updateResortSettings(addCustomResort(resortSettings, location)),
+    onRemove: id => updateResortSettings(removeCustomResort(resortSettings, id)),
+    onToggleHidden: (id, hidden) => updateResortSettings(setResortHidden(resortSettings, id, hidden)),
+    onMove: (id, offset) => updateResortSettings(moveResort(resortSettings, id, offset))
+  }));
+}
+
+/**
+ * Show the current active resorts
+ * Resorts already loaded are re-rendered in the new order right away;
+ * newly added ones appear once fetched.
+ */
+function showActiveResorts() {
+  if (cachedResults) {
+    cachedResults = activeResorts
+      .map(resort => cachedResults.find(result => result.resort.id === resort.id))
+      .filter(Boolean);
+    renderForecast();
+  }
+  loadForecasts();
+}
+
+/**
+ * Save changed resort settings and show the new list
+ * Editing the list drops any selection from a shared link.
+ * @param {object} settings - Updated resort settings
+ */
+function updateResortSettings(settings) {
+  resortSettings = settings;
+  saveResortSettings(resortSettings);
+  resortSelection = null;
+  activeResorts = resolveActiveResorts();
+  renderSettings();
+  recordViewState();
+  showActiveResorts();
+}
+
+/**
+ * Restore the view when the user steps through history with back/forward
+ */
+function handlePopState() {
+  const previousResorts = activeResorts.map(resort => resort.id).join(',');
+  applyViewState(readUrlState());
+  updateToggleButton();
+  updateSlotControls();
+  renderMetricPicker();
+
+  if (activeResorts.map(resort => resort.id).join(',') !== previousResorts) {
+    showActiveResorts();
+  } else {
+    renderForecast();
+  }
+}
+
+/**
+ * Render the metric picker, if open
+ */
+function renderMetricPicker() {
+  const panelContainer = document.getElementById('metric-panel');
+  if (!panelContainer) return;
+
+  panelContainer.hidden = !metricPickerOpen;
+  panelContainer.innerHTML = '';
+  if (!metricPickerOpen) return;
+
+  panelContainer.appendChild(createMetricPicker(getMetrics(unitSystem), visibleMetricIds, metricPresets, updateVisibleMetrics));
+}
+
+/**
+ * Save a new choice of visible metrics and re-render
+ * @param {Array<string>|null} metricIds - Visible ids in order, null for all
+ */
+function updateVisibleMetrics(metricIds) {
+  visibleMetricIds = metricIds;
+  saveVisibleMetrics(visibleMetricIds);
+  recordViewState();
+  renderMetricPicker();
   renderForecast();
 }
 
+/**
+ * Open or close the metric picker
+ */
+function toggleMetricPicker() {
+  metricPickerOpen = !metricPickerOpen;
+  renderMetricPicker();
+}
+
+/**
+ * Render the forecast verification view, if open
+ */
+function renderVerification() {
+  const panelContainer = document.getElementById('verification-panel');
+  if (!panelContainer) return;
+
+  panelContainer.hidden = !verificationOpen;
+  panelContainer.innerHTML = '';
+  if (!verificationOpen) return;
+
+  panelContainer.appendChild(createVerificationPanel(verificationResults, unitSystem));
+}
+
+/**
+ * Check stored forecasts against observations after a refresh, so every hour
+ * is verified before its snapshots are pruned whether or not the view is open
+ * verifyForecasts skips resorts checked within the last few hours.
+ */
+async function verifyInBackground() {
+  const requestedResorts = activeResorts;
+  const results = await verifyForecasts(requestedResorts);
+  if (requestedResorts !== activeResorts) return;
+  verificationResults = results;
+  verifiedResorts = requestedResorts;
+  renderVerification();
+}
+
+/**
+ * Open or close the forecast verification view
+ * Shows the results of the last background check, or the stored history when
+ * none has run for the current resorts.
+ */
+function toggleVerification() {
+  verificationOpen = !verificationOpen;
+  if (verificationOpen && verifiedResorts !== activeResorts) {
+    verificationResults = loadVerificationResults(activeResorts);
+    verifiedResorts = activeResorts;
+  }
+  renderVerification();
+}
+
+/**
+ * Whether the browser can notify, and whether the user allowed it
+ * @returns {string} 'unsupported', 'default', 'granted' or 'denied'
+ */
+function getNotificationStatus() {
+  return 'Notification' in window ? Notification.permission : 'unsupported';
+}
+
+/**
+ * Show a browser notification
+ * Some browsers (e.g. Chrome on Android) only allow notifications from a
+ * service worker and throw here; matches are still listed in the rules panel.
+ * @param {string} title
+ * @param {NotificationOptions} options
+ */
+function showNotification(title, options) {
+  try {
+    new Notification(title, options);
+  } catch (error) {
+    console.warn('Could not show notification:', error);
+  }
+}
+
+/**
+ * Check the shown forecasts against the user's rules and notify once per new match
+ */
+function checkAlertRules() {
+  if (!shownResortData || alertRules.length === 0) return;
+
+  const matches = evaluateRules(alertRules, shownResortData)
+    .map(match => ({ key: match.key, message: describeMatch(match, unitSystem) }));
+  const fresh = recordAlertMatches(matches);
+  if (fresh.length === 0) return;
+
+  // A broad new rule can match many days at once; fold those into one notification
+  if (getNotificationStatus() === 'granted') {
+    if (fresh.length > MAX_NOTIFICATIONS) {
+      showNotification(`${fresh.length} new ski weather alerts`, {
+        body: fresh.slice(0, MAX_NOTIFICATIONS).map(({ message }) => message).join('\n')
+      });
+    } else {
+      fresh.forEach(({ key, message }) => showNotification('Ski weather alert', { body: message, tag: key }));
+    }
+  }
+  renderRules();
+}
+
+/**
+ * Render the threshold rules panel, if open
+ */
+function renderRules() {
+  const panelContainer = document.getElementById('rules-panel');
+  if (!panelContainer) return;
+
+  panelContainer.hidden = !rulesOpen;
+  panelContainer.innerHTML = '';
+  if (!rulesOpen) return;
+
+  panelContainer.appendChild(createRulesPanel({
+    rules: alertRules,
+    resorts: activeResorts,
+    history: loadAlertLog().history,
+    unitSystem,
+    notificationStatus: getNotificationStatus()
+  }, {
+    onAdd: rule => updateAlertRules(addAlertRule(alertRules, rule)),
+    onRemove: id => updateAlertRules(removeAlertRule(alertRules, id)),
+    onEnableNotifications: enableNotifications
+  }));
+}
+
+/**
+ * Save changed rules and check them right away
+ * @param {Array} rules
+ */
+function updateAlertRules(rules) {
+  alertRules = rules;
+  saveAlertRules(alertRules);
+  renderRules();
+  checkAlertRules();
+}
+
+/**
+ * Ask for permission to show notifications
+ */
+async function enableNotifications() {
+  await Notification.requestPermission();
+  renderRules();
+}
+
+/**
+ * Open or close the threshold rules panel
+ */
+function toggleRules() {
+  rulesOpen = !rulesOpen;
+  renderRules();
+}
+
+/**
+ * Download the shown forecasts in an export format
+ * @param {string} format - 'csv', 'json' or 'ics'
+ * @param {{powderThreshold: number}} options - Powder day snow in mm, for the calendar
+ */
+function exportForecast(format, { powderThreshold }) {
+  if (!shownResortData || shownResortData.length === 0) return;
+
+  const allMetrics = getMetrics(unitSystem);
+  const { hoursPerSlot, timeZone } = getTransformOptions(cachedResults);
+  const date = new Date().toISOString().slice(0, 10);
+
+  if (format === 'csv') {
+    downloadFile(`ski-forecast-${date}.csv`, toCsv(shownResortData, allMetrics), 'text/csv');
+  } else if (format === 'json') {
+    const json = toJson(shownResortData, allMetrics, { unitSystem, hoursPerSlot, timeZone });
+    downloadFile(`ski-forecast-${date}.json`, json, 'application/json');
+  } else if (format === 'ics') {
+    const snowMetric = allMetrics.find(metric => metric.id === 'snow-amount');
+    const ics = toIcs(shownResortData, snowMetric, { threshold: powderThreshold, timeZone });
+    downloadFile(`powder-days-${date}.ics`, ics, 'text/calendar');
+  }
+}
+
+/**
+ * Render the export panel, if open
+ */
+function renderExport() {
+  const panelContainer = document.getElementById('export-panel');
+  if (!panelContainer) return;
+
+  panelContainer.hidden = !exportOpen;
+  panelContainer.innerHTML = '';
+  if (!exportOpen) return;
+
+  panelContainer.appendChild(createExportPanel(unitSystem, exportForecast));
+}
+
+/**
+ * Open or close the export panel
+ */
+function toggleExport() {
+  exportOpen = !exportOpen;
+  renderExport();
+}
+
+/**
+ * Open or close the resort list settings panel
+ */
+function toggleSettings() {
+  settingsOpen = !settingsOpen;
+  renderSettings();
+}
+
 /**
  * Initialize the application
  */
@@ -126,8 +981,13 @@ function init() {
     return;
   }
 
-  // Initialize toggle button
+  // Restore the view from the URL, then initialize header controls
+  applyViewState(readUrlState());
+  window.addEventListener('popstate', handlePopState);
   updateToggleButton();
+  updateCompareButton();
+  updateViewButton();
+  initSlotControls();
 
   // Load forecasts immediately
   loadForecasts();
@@ -135,6 +995,9 @@ function init() {
   // Set up auto-refresh
   setInterval(loadForecasts, REFRESH_INTERVAL);
 
+  // Retry as soon as connectivity comes back
+  window.addEventListener('online', loadForecasts);
+
   // Set up manual refresh button
   const refreshBtn = document.getElementById('refresh-btn');
   if (refreshBtn) {
@@ -146,6 +1009,48 @@ function init() {
   if (toggleBtn) {
     toggleBtn.addEventListener('click', toggleUnits);
   }
+
+  // Set up resort list settings button
+  const settingsBtn = document.getElementById('settings-toggle');
+  if (settingsBtn) {
+    settingsBtn.addEventListener('click', toggleSettings);
+  }
+
+  // Set up table/chart toggle button
+  const viewBtn = document.getElementById('view-toggle');
+  if (viewBtn) {
+    viewBtn.addEventListener('click', toggleChartView);
+  }
+
+  // Set up metric picker button
+  const metricsBtn = document.getElementById('metrics-toggle');
+  if (metricsBtn) {
+    metricsBtn.addEventListener('click', toggleMetricPicker);
+  }
+
+  // Set up export button
+  const exportBtn = document.getElementById('export-toggle');
+  if (exportBtn) {
+    exportBtn.addEventListener('click', toggleExport);
+  }
+
+  // Set up threshold rules button
+  const rulesBtn = document.getElementById('rules-toggle');
+  if (rulesBtn) {
+    rulesBtn.addEventListener('click', toggleRules);
+  }
+
+  // Set up forecast verification button
+  const verifyBtn = document.getElementById('verify-toggle');
+  if (verifyBtn) {
+    verifyBtn.addEventListener('click', toggleVerification);
+  }
+
+  // Set up model comparison toggle button
+  const compareBtn = document.getElementById('compare-toggle');
+  if (compareBtn) {
+    compareBtn.addEventListener('click', toggleCompare);
+  }
 }
 
 // Start when DOM is ready
@@ -0,0 +1,103 @@
+// User-defined threshold rules and the matches they have raised
+// Rules are stored as {id, typeId, resortId, value} with value in base units
+// (see config/alertRules.js); resortId null applies a rule to every resort.
+
+import { getRuleType } from '../config/alertRules.js';
+import { readJson, writeJson } from './localStore.js';
+
+const RULES_KEY = 'alert-rules';
+const LOG_KEY = 'alert-log';
+const HISTORY_SIZE = 20;
+const NOTIFIED_MAX_AGE = 8 * 24 * 60 * 60 * 1000; // past the forecast horizon, a key cannot match again
+
+/**
+ * @typedef {object} AlertLog
+ * @property {Object<string, number>} notified - Match key -> when it was first raised (ms)
+ * @property {Array<{key: string, message: string, firedAt: number}>} history - Newest first
+ */
+
+/**
+ * Load the saved rules
+ * @returns {Array<{id: string, typeId: string, resortId: string|null, value: number}>}
+ */
+export function loadAlertRules() {
+  const stored = readJson(RULES_KEY, []);
+  if (!Array.isArray(stored)) return [];
+  return stored.filter(rule => getRuleType(rule.typeId) && typeof rule.value === 'number');
+}
+
+/**
+ * Save the rules
+ * @param {Array} rules
+ * @returns {boolean} Whether the rules were stored
+ */
+export function saveAlertRules(rules) {
+  return writeJson(RULES_KEY, rules);
+}
+
+/**
+ * Add a rule
+ * @param {Array} rules - Current rules, not modified
+ * @param {{typeId: string, resortId: string|null, value: number}} rule - value in base units
+ * @returns {Array} Updated rules
+ * @throws {Error} When the rule type or value is invalid
+ */
+export function addAlertRule(rules, { typeId, resortId, value }) {
+  if (!getRuleType(typeId)) {
+    throw new Error(`Unknown rule type: ${typeId}`);
+  }
+  if (!Number.isFinite(value) || value < 0) {
+    throw new Error('Enter a threshold of zero or more');
+  }
+
+  const id = `rule-${Date.now().toString(36)}`;
+  return [...rules, { id, typeId, resortId: resortId || null, value }];
+}
+
+/**
+ * Remove a rule
+ * @param {Array} rules - Current rules, not modified
+ * @param {string} id
+ * @returns {Array} Updated rules
+ */
+export function removeAlertRule(rules, id) {
+  return rules.filter(rule => rule.id !== id);
+}
+
+/**
+ * Load the record of raised matches
+ * @returns {AlertLog}
+ */
+export function loadAlertLog() {
+  const stored = readJson(LOG_KEY, {});
+  return {
+    notified: stored.notified && typeof stored.notified === 'object' ? stored.notified : {},
+    history: Array.isArray(stored.history) ? stored.history : []
+  };
+}
+
+/**
+ * Record matches, keeping only those not raised before
+ * @param {Array<{key: string, message: string}>} matches
+ * @returns {Array<{key: string, message: string}>} The new matches
+ */
+export function recordAlertMatches(matches) {
+  const log = loadAlertLog();
+  const now = Date.now();
+
+  const fresh = matches.filter(match => !(match.key in log.notified));
+  fresh.forEach(({ key, message }) => {
+    log.notified[key] = now;
+    log.history.unshift({ key, message, firedAt: now });
+  });
+
+  Object.entries(log.notified).forEach(([key, firedAt]) => {
+    if (now - firedAt > NOTIFIED_MAX_AGE) {
+      delete log.notified[key];
+    }
+  });
+  log.history = log.history.slice(0, HISTORY_SIZE);
+
+  writeJson(LOG_KEY, log);
+  return fresh;
+}
@@ -0,0 +1,91 @@
+// Forecast snapshots and verification results per resort, kept across visits
+// Snapshots are only kept until the hours they cover have been verified, and
+// verified days for the current season.
+
+import { readJson, writeJson } from './localStore.js';
+import { SNAPSHOT_HOURS, toSnapshotHours } from '../data/forecastVerification.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const SNAPSHOT_INTERVAL = 3 * HOUR_MS; // auto-refresh is more frequent; one snapshot per interval is plenty
+export const OBSERVATION_WINDOW = 7 * 24 * HOUR_MS; // NWS keeps about a week of station observations
+const SEASON_DAYS = 200;
+
+/**
+ * @typedef {object} ForecastHistory
+ * @property {string|null} timeZone - Zone the resort's days are counted in
+ * @property {Array<{fetchedAt: number, hours: Array}>} snapshots
+ * @property {number|null} verifiedThrough - Hours before this (ms) have been verified
+ * @property {number|null} checkedAt - When observations were last fetched (ms)
+ * @property {{id: string, name: string}|null} station - Station last verified against
+ * @property {Array<import('../data/forecastVerification.js').VerifiedDay>} days
+ */
+
+/**
+ * Storage key for a resort's history
+ * @param {string} resortId
+ * @returns {string}
+ */
+function getKey(resortId) {
+  return `forecast-history:${resortId}`;
+}
+
+/**
+ * Load a resort's forecast history
+ * @param {string} resortId
+ * @returns {ForecastHistory}
+ */
+export function loadForecastHistory(resortId) {
+  const stored = readJson(getKey(resortId)) ?? {};
+  return {
+    timeZone: stored.timeZone ?? null,
+    snapshots: Array.isArray(stored.snapshots) ? stored.snapshots : [],
+    verifiedThrough: stored.verifiedThrough ?? null,
+    checkedAt: stored.checkedAt ?? null,
+    station: stored.station ?? null,
+    days: Array.isArray(stored.days) ? stored.days : []
+  };
+}
+
+/**
+ * Save a resort's forecast history, dropping what is no longer needed
+ * @param {string} resortId
+ * @param {ForecastHistory} history
+ * @returns {boolean} Whether the history was stored
+ */
+export function saveForecastHistory(resortId, history) {
+  const now = Date.now();
+  const verifiedThrough = history.verifiedThrough ?? 0;
+
+  // A snapshot is done once every hour it covers is verified or too old to verify
+  const keepAfter = Math.max(verifiedThrough, now - OBSERVATION_WINDOW) - SNAPSHOT_HOURS * HOUR_MS;
+  const snapshots = history.snapshots.filter(snapshot => snapshot.fetchedAt > keepAfter);
+
+  const seasonStart = new Date(now - SEASON_DAYS * 24 * HOUR_MS).toISOString().slice(0, 10);
+  const days = history.days.filter(day => day.date >= seasonStart);
+
+  return writeJson(getKey(resortId), { ...history, snapshots, days });
+}
+
+/**
+ * Store a snapshot of a resort's freshly fetched forecast
+ * Skipped when the last snapshot is recent, so refreshes do not pile up copies.
+ * @param {string} resortId
+ * @param {Array} periods - Hourly forecast periods
+ * @param {number} fetchedAt - ms
+ * @param {string|null} timeZone - IANA zone of the resort
+ * @returns {boolean} Whether a snapshot was stored
+ */
+export function recordSnapshot(resortId, periods, fetchedAt, timeZone) {
+  const history = loadForecastHistory(resortId);
+  const latest = history.snapshots[history.snapshots.length - 1];
+  if (latest && fetchedAt - latest.fetchedAt < SNAPSHOT_INTERVAL) {
+    return false;
+  }
+
+  const hours = toSnapshotHours(periods, fetchedAt);
+  if (hours.length === 0) return false;
+
+  history.snapshots.push({ fetchedAt, hours });
+  history.timeZone = timeZone ?? history.timeZone;
+  return saveForecastHistory(resortId, history);
+}
@@ -0,0 +1,48 @@
+// Thin JSON wrapper around localStorage
+// Storage can be unavailable (private mode) or full, so every call fails soft.
+
+const KEY_PREFIX = 'ski-weather:';
+
+/**
+ * Read a JSON value from localStorage
+ * @param {string} key
+ * @param {*} [fallback=null] - Returned when the key is missing or unreadable
+ * @returns {*}
+ */
+export function readJson(key, fallback = null) {
+  try {
+    const raw = localStorage.getItem(KEY_PREFIX + key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch (error) {
+    console.warn(`Failed to read ${key} from storage:`, error);
+    return fallback;
+  }
+}
+
+/**
+ * Write a JSON value to localStorage
+ * @param {string} key
+ * @param {*} value
+ * @returns {boolean} Whether the value was stored
+ */
+export function writeJson(key, value) {
+  try {
+    localStorage.setItem(KEY_PREFIX + key, JSON.stringify(value));
+    return true;
+  } catch (error) {
+    console.warn(`Failed to write ${key} to storage:`, error);
+    return false;
+  }
+}
+
+/**
+ * Remove a value from localStorage
+ * @param {string} key
+ */
+export function removeKey(key) {
+  try {
+    localStorage.removeItem(KEY_PREFIX + key);
+  } catch (error) {
+    console.warn(`Failed to remove ${key} from storage:`, error);
+  }
+}
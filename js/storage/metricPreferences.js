@@ -0,0 +1,27 @@
+// The user's visible metrics and their order, kept across visits
+
+import { readJson, writeJson } from './localStore.js';
+
+const STORAGE_KEY = 'visible-metrics';
+
+/**
+ * Load the saved visible metric ids
+ * @param {Array<string>} knownIds - Ids of every current metric; unknown saved ids are dropped
+ * @returns {Array<string>|null} Ids in display order, or null to show every metric
+ */
+export function loadVisibleMetrics(knownIds) {
+  const stored = readJson(STORAGE_KEY);
+  if (!Array.isArray(stored)) return null;
+
+  const ids = stored.filter(id => knownIds.includes(id));
+  return ids.length > 0 ? ids : null;
+}
+
+/**
+ * Save the visible metric ids
+ * @param {Array<string>|null} ids - Ids in display order, or null for every metric
+ * @returns {boolean} Whether the preference was stored
+ */
+export function saveVisibleMetrics(ids) {
+  return writeJson(STORAGE_KEY, ids);
+}
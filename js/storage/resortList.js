@@ -0,0 +1,201 @@
+// User-managed resort list
+// Built-in resorts come from config/resorts.js; users can add their own
+// locations (trailheads, passes), hide built-ins and reorder everything.
+// Settings are stored as {order, hidden, custom} and never modify the config.
+
+import { resorts as builtInResorts } from '../config/resorts.js';
+import { readJson, writeJson } from './localStore.js';
+
+const STORAGE_KEY = 'resort-list';
+const PROVIDERS = ['noaa', 'open-meteo'];
+
+/**
+ * @typedef {object} ResortSettings
+ * @property {Array<string>} order - Resort ids in display order; unlisted resorts follow
+ * @property {Array<string>} hidden - Ids of hidden resorts
+ * @property {Array<object>} custom - User-added resorts {id, name, lat, lon, elevation, provider, custom: true}
+ */
+
+/**
+ * Load the user's resort settings
+ * @returns {ResortSettings}
+ */
+export function loadResortSettings() {
+  const stored = readJson(STORAGE_KEY, {});
+  return {
+    order: Array.isArray(stored.order) ? stored.order : [],
+    hidden: Array.isArray(stored.hidden) ? stored.hidden : [],
+    custom: Array.isArray(stored.custom) ? stored.custom : []
+  };
+}
+
+/**
+ * Persist the user's resort settings
+ * @param {ResortSettings} settings
+ * @returns {boolean} Whether the settings were stored
+ */
+export function saveResortSettings(settings) {
+  return writeJson(STORAGE_KEY, settings);
+}
+
+/**
+ * Get every resort, built-in and custom, in the user's order
+ * @param {ResortSettings} settings
+ * @returns {Array<object>}
+ */
+export function getOrderedResorts(settings) {
+  const all = [...builtInResorts, ...settings.custom];
+  const rank = resort => {
+    const index = settings.order.indexOf(resort.id);
+    return index === -1 ? settings.order.length + all.indexOf(resort) : index;
+  };
+  return all.slice().sort((a, b) => rank(a) - rank(b));
+}
+
+/**
+ * Get the resorts to forecast: the ordered list without hidden ones
+ * @param {ResortSettings} settings
+ * @returns {Array<object>}
+ */
+export function getActiveResorts(settings) {
+  return getOrderedResorts(settings).filter(resort => !settings.hidden.includes(resort.id));
+}
+
+/**
+ * Read coordinates from a forecast.weather.gov MapClick URL
+ * Accepts both the lat/lon and the textField1/textField2 forms.
+ * @param {string} text - e.g. "https://forecast.weather.gov/MapClick.php?lat=48.86&lon=-121.68"
+ * @returns {{lat: number, lon: number}|null} null when the text is not a MapClick URL
+ */
+export function parseMapClickUrl(text) {
+  let url;
+  try {
+    url = new URL(text.trim());
+  } catch (error) {
+    return null;
+  }
+  if (!/mapclick/i.test(url.pathname)) return null;
+
+  const lat = parseFloat(url.searchParams.get('lat') ?? url.searchParams.get('textField1'));
+  const lon = parseFloat(url.searchParams.get('lon') ?? url.searchParams.get('textField2'));
+  return Number.isNaN(lat) || Number.isNaN(lon) ? null : { lat, lon };
+}
+
+/**
+ * Make an id for a custom location that no other resort uses
+ * @param {string} name
+ * @param {Array<object>} existing - Resorts already in the list
+ * @returns {string} e.g. "custom-artist-point"
+ */
+function createResortId(name, existing) {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'location';
+  let id = `custom-${slug}`;
+  for (let n = 2; existing.some(resort => resort.id === id); n++) {
+    id = `custom-${slug}-${n}`;
+  }
+  return id;
+}
+
+/**
+ * Add a custom location
+ * @param {ResortSettings} settings
+ * @param {{name: string, lat: number, lon: number, elevation?: number|null, provider?: string}} location
+ * @returns {ResortSettings} Updated settings
+ * @throws {Error} When the name or coordinates are invalid
+ */
+export function addCustomResort(settings, { name, lat, lon, elevation = null, provider = 'noaa' }) {
+  const trimmedName = (name ?? '').trim();
+  if (!trimmedName) {
+    throw new Error('Enter a name for the location');
+  }
+  if (!Number.isFinite(lat) || lat < -90 || lat > 90) {
+    throw new Error('Latitude must be between -90 and 90');
+  }
+  if (!Number.isFinite(lon) || lon < -180 || lon > 180) {
+    throw new Error('Longitude must be between -180 and 180');
+  }
+  if (!PROVIDERS.includes(provider)) {
+    throw new Error(`Unknown forecast provider: ${provider}`);
+  }
+
+  const resort = {
+    id: createResortId(trimmedName, getOrderedResorts(settings)),
+    name: trimmedName,
+    lat: Math.round(lat * 10000) / 10000,
+    lon: Math.round(lon * 10000) / 10000,
+    elevation: Number.isFinite(elevation) ? elevation : null,
+    provider,
+    custom: true
+  };
+
+  return { ...settings, custom: [...settings.custom, resort] };
+}
+
+/**
+ * Make a resort from a custom location shared in a link
+ * It is shown while the link's resort selection is, without being saved.
+ * @param {import('./urlState.js').SharedPlace} place
+ * @returns {object|null} null when the place is not valid
+ */
+export function createSharedResort({ id, name, lat, lon, elevation, provider }) {
+  const valid = id.startsWith('custom-')
+    && name.trim() !== ''
+    && Number.isFinite(lat) && lat >= -90 && lat <= 90
+    && Number.isFinite(lon) && lon >= -180 && lon <= 180
+    && PROVIDERS.includes(provider);
+  if (!valid) return null;
+
+  return {
+    id,
+    name: name.trim(),
+    lat,
+    lon,
+    elevation: Number.isFinite(elevation) ? elevation : null,
+    provider,
+    custom: true
+  };
+}
+
+/**
+ * Remove a custom location; built-in resorts can only be hidden
+ * @param {ResortSettings} settings
+ * @param {string} id
+ * @returns {ResortSettings}
+ */
+export function removeCustomResort(settings, id) {
+  return {
+    order: settings.order.filter(orderId => orderId !== id),
+    hidden: settings.hidden.filter(hiddenId => hiddenId !== id),
+    custom: settings.custom.filter(resort => resort.id !== id)
+  };
+}
+
+/**
+ * Hide or show a resort
+ * @param {ResortSettings} settings
+ * @param {string} id
+ * @param {boolean} hidden
+ * @returns {ResortSettings}
+ */
+export function setResortHidden(settings, id, hidden) {
+  const others = settings.hidden.filter(hiddenId => hiddenId !== id);
+  return { ...settings, hidden: hidden ? [...others, id] : others };
+}
+
+/**
+ * Move a resort up or down the list
+ * @param {ResortSettings} settings
+ * @param {string} id
+ * @param {number} offset - -1 to move up, 1 to move down
+ * @returns {ResortSettings}
+ */
+export function moveResort(settings, id, offset) {
+  const order = getOrderedResorts(settings).map(resort => resort.id);
+  const from = order.indexOf(id);
+  const to = from + offset;
+  if (from === -1 || to < 0 || to >= order.length) return settings;
+
+  order.splice(from, 1);
+  order.splice(to, 0, id);
+  return { ...settings, order };
+}
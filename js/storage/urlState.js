@@ -0,0 +1,137 @@
+// View state in the URL query, so a view can be shared as a link and the
+// browser's back/forward buttons step through view changes.
+// e.g. ?units=metric&resorts=mt-baker,stevens-pass&slot=6h
+// Custom locations in the resort list also go in `places`, so a link works for
+// people who do not have them: id~lat~lon~elevation~provider~name per place.
+
+const LIST_KEYS = ['resorts', 'metrics', 'places'];
+const NUMBER_KEYS = ['days'];
+const PLACE_SEPARATOR = '~';
+
+/**
+ * @typedef {object} ViewState
+ * @property {string} [units] - 'imperial' or 'metric'
+ * @property {Array<string>} [resorts] - Resort ids, in display order
+ * @property {Array<string>} [metrics] - Visible metric ids, in display order
+ * @property {string} [slot] - Slot size id
+ * @property {number} [days] - Forecast horizon
+ * @property {string} [tz] - 'resort' or 'viewer'
+ * @property {Array<SharedPlace>} [places] - Custom locations among the resorts
+ */
+
+/**
+ * @typedef {object} SharedPlace
+ * @property {string} id
+ * @property {string} name
+ * @property {number} lat
+ * @property {number} lon
+ * @property {number|null} elevation - Feet
+ * @property {string} provider
+ */
+
+/**
+ * Encode a custom location as one list item, name last since it may contain anything
+ * @param {SharedPlace} place
+ * @returns {string} e.g. "custom-artist-point~48.8463~-121.6927~5100~noaa~Artist Point"
+ */
+function encodePlace({ id, name, lat, lon, elevation, provider }) {
+  return [id, lat, lon, elevation ?? '', provider, name].join(PLACE_SEPARATOR);
+}
+
+/**
+ * Decode a list item made by encodePlace
+ * @param {string} text
+ * @returns {SharedPlace|null} null when the item is malformed
+ */
+function decodePlace(text) {
+  const [id, lat, lon, elevation, provider, ...nameParts] = text.split(PLACE_SEPARATOR);
+  const name = nameParts.join(PLACE_SEPARATOR);
+  if (!id || !provider || !name || lat === '' || lon === '') return null;
+  return {
+    id,
+    name,
+    lat: Number(lat),
+    lon: Number(lon),
+    elevation: elevation === '' || elevation === undefined ? null : Number(elevation),
+    provider
+  };
+}
+
+/**
+ * Decode one query component, treating "+" as a space like URLSearchParams
+ * @param {string} text
+ * @returns {string|null} null when the escape sequences are malformed
+ */
+function decodeComponent(text) {
+  try {
+    return decodeURIComponent(text.replace(/\+/g, ' '));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Read the view state from a query string
+ * Only keys present in the query are returned; values are not validated.
+ * List items are split before decoding, so commas escaped inside an item
+ * (e.g. in a place name) stay part of it.
+ * @param {string} [search] - Defaults to the current location's query
+ * @returns {ViewState}
+ */
+export function readUrlState(search = window.location.search) {
+  const state = {};
+
+  search.replace(/^\?/, '').split('&').filter(Boolean).forEach(pair => {
+    const [rawKey, rawValue = ''] = pair.split('=');
+    const key = decodeComponent(rawKey);
+    if (LIST_KEYS.includes(key)) {
+      const items = rawValue.split(',').map(decodeComponent).filter(Boolean);
+      state[key] = key === 'places' ? items.map(decodePlace).filter(Boolean) : items;
+      return;
+    }
+
+    const value = decodeComponent(rawValue);
+    if (value === null) {
+      return;
+    } else if (NUMBER_KEYS.includes(key)) {
+      const number = parseInt(value, 10);
+      if (!Number.isNaN(number)) state[key] = number;
+    } else {
+      state[key] = value;
+    }
+  });
+
+  return state;
+}
+
+/**
+ * Build a query string from a view state
+ * Keys set to null or undefined (i.e. at their default) are left out to keep links short.
+ * @param {ViewState} state
+ * @returns {string} e.g. "?units=metric", or "" when everything is default
+ */
+function buildQuery(state) {
+  const parts = Object.entries(state)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => {
+      const items = key === 'places' ? value.map(encodePlace) : value;
+      const text = Array.isArray(items)
+        ? items.map(encodeURIComponent).join(',')
+        : encodeURIComponent(String(value));
+      return `${key}=${text}`;
+    });
+  return parts.length > 0 ? `?${parts.join('&')}` : '';
+}
+
+/**
+ * Record a view state as a new browser history entry
+ * Does nothing when the URL already matches, so re-renders do not pile up entries.
+ * @param {ViewState} state
+ */
+export function pushUrlState(state) {
+  const query = buildQuery(state);
+  if (query === window.location.search) return;
+
+  const url = `${window.location.pathname}${query}${window.location.hash}`;
+  window.history.pushState(null, '', url);
+}
@@ -0,0 +1,302 @@
+// SVG chart rendering for forecast data
+// Charts are drawn as table rows, one small SVG per slot cell, so they share
+// the combined table's columns exactly. Each cell draws its slot's value (or,
+// for temperature, each hour in the slot) plus half-way joins to its
+// neighbours, which reads as one continuous line.
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const CELL_WIDTH = 10; // viewBox units per slot
+const CHART_HEIGHT = 40; // viewBox units
+const CHART_PADDING = 3;
+const FREEZING_F = 32;
+const POINT_COLORS = ['#2980b9', '#8e44ad', '#16a085', '#d35400'];
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Create an SVG element
+ * @param {string} tag
+ * @param {object} [attributes]
+ * @returns {SVGElement}
+ */
+function createSvgElement(tag, attributes = {}) {
+  const element = document.createElementNS(SVG_NS, tag);
+  Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+  return element;
+}
+
+/**
+ * Map a value onto the chart's vertical axis
+ * @param {number} value
+ * @param {{min: number, max: number}} range
+ * @returns {number} y in viewBox units
+ */
+function scaleY(value, { min, max }) {
+  const span = max - min || 1;
+  return CHART_HEIGHT - CHART_PADDING - (value - min) / span * (CHART_HEIGHT - 2 * CHART_PADDING);
+}
+
+/**
+ * Get the points of one slot's segment of a series
+ * The segment runs from the midpoint with the previous slot, through this
+ * slot's value, to the midpoint with the next slot.
+ * @param {Array<number|null>} values
+ * @param {number} index
+ * @returns {Array<[number, number]>|null} [x, value] pairs, null when the slot has no value
+ */
+function getSegment(values, index) {
+  const value = values[index];
+  if (value === null || value === undefined) return null;
+
+  const previous = values[index - 1] ?? null;
+  const next = values[index + 1] ?? null;
+  return [
+    [0, previous === null ? value : (previous + value) / 2],
+    [CELL_WIDTH / 2, value],
+    [CELL_WIDTH, next === null ? value : (value + next) / 2]
+  ];
+}
+
+/**
+ * Get the points of one slot's segment of an hourly series
+ * Each hour sits at its place within the cell; the ends join the neighbouring
+ * slots' nearest hours half way, as in getSegment.
+ * @param {Array<Array<[number, number]>>} hours - Per slot, [fraction of the slot, value] pairs in time order
+ * @param {number} index
+ * @returns {Array<[number, number]>|null} [x, value] pairs, null when the slot has no hours
+ */
+function getHourlySegment(hours, index) {
+  const current = hours[index];
+  if (!current || current.length === 0) return null;
+
+  const first = current[0][1];
+  const last = current[current.length - 1][1];
+  const previous = hours[index - 1]?.at(-1)?.[1] ?? null;
+  const next = hours[index + 1]?.[0]?.[1] ?? null;
+  return [
+    [0, previous === null ? first : (previous + first) / 2],
+    ...current.map(([fraction, value]) => [fraction * CELL_WIDTH, value]),
+    [CELL_WIDTH, next === null ? last : (last + next) / 2]
+  ];
+}
+
+/**
+ * Format segment points for an SVG points attribute
+ * @param {Array<[number, number]>} segment
+ * @param {{min: number, max: number}} range
+ * @returns {string}
+ */
+function toSvgPoints(segment, range) {
+  return segment.map(([x, value]) => `${x},${scaleY(value, range).toFixed(2)}`).join(' ');
+}
+
+/**
+ * Create the SVG for one slot cell
+ * @param {Array<object>} series - {color, values} or {color, hours} lines, or {color, lower, upper} bands
+ * @param {number} index - Slot index
+ * @param {{min: number, max: number}} range
+ * @param {Array<number>} guides - Values to mark with a dashed line (e.g. freezing)
+ * @returns {SVGElement}
+ */
+function createCellSvg(series, index, range, guides) {
+  const svg = createSvgElement('svg', {
+    class: 'chart-svg',
+    viewBox: `0 0 ${CELL_WIDTH} ${CHART_HEIGHT}`,
+    preserveAspectRatio: 'none'
+  });
+
+  guides.forEach(value => {
+    const y = scaleY(value, range).toFixed(2);
+    svg.appendChild(createSvgElement('line', {
+      class: 'chart-guide',
+      x1: 0, x2: CELL_WIDTH, y1: y, y2: y,
+      'vector-effect': 'non-scaling-stroke'
+    }));
+  });
+
+  series.forEach(({ color, values, hours, lower, upper }) => {
+    if (values || hours) {
+      const segment = values ? getSegment(values, index) : getHourlySegment(hours, index);
+      if (!segment) return;
+      svg.appendChild(createSvgElement('polyline', {
+        class: 'chart-line',
+        points: toSvgPoints(segment, range),
+        stroke: color,
+        'vector-effect': 'non-scaling-stroke'
+      }));
+      return;
+    }
+
+    // Band between two series, e.g. sustained wind up to gusts
+    const top = getSegment(upper, index);
+    const bottom = getSegment(lower, index);
+    if (!top || !bottom) return;
+    svg.appendChild(createSvgElement('polygon', {
+      class: 'chart-band',
+      points: `${toSvgPoints(top, range)} ${toSvgPoints(bottom.slice().reverse(), range)}`,
+      fill: color
+    }));
+  });
+
+  return svg;
+}
+
+/**
+ * Create a chart row: a label cell and one SVG cell per slot
+ * @param {object} chart
+ * @param {string} chart.label - Row label, e.g. "Snow total (in)"
+ * @param {string} chart.rangeText - Scale hint shown under the label
+ * @param {Array<object>} chart.series
+ * @param {{min: number, max: number}} chart.range
+ * @param {Array<number>} [chart.guides]
+ * @param {HTMLElement|null} [chart.legend]
+ * @param {Array} slots
+ * @returns {HTMLElement}
+ */
+function createChartRow({ label, rangeText, series, range, guides = [], legend = null }, slots) {
+  const row = document.createElement('tr');
+  row.className = 'chart-row';
+
+  const labelCell = document.createElement('td');
+  labelCell.className = 'metric-label';
+  labelCell.textContent = label;
+
+  const rangeSpan = document.createElement('span');
+  rangeSpan.className = 'chart-range';
+  rangeSpan.textContent = rangeText;
+  labelCell.appendChild(rangeSpan);
+
+  if (legend) {
+    labelCell.appendChild(legend);
+  }
+  row.appendChild(labelCell);
+
+  slots.forEach((slot, index) => {
+    const cell = document.createElement('td');
+    cell.className = 'chart-cell';
+    if (index > 0 && slot.dayLabel !== slots[index - 1].dayLabel) {
+      cell.classList.add('day-start');
+    }
+    cell.appendChild(createCellSvg(series, index, range, guides));
+    row.appendChild(cell);
+  });
+
+  return row;
+}
+
+/**
+ * Create a legend naming each forecast point's color
+ * @param {Array<{point: object}>} points
+ * @returns {HTMLElement|null} Legend, or null for a single point
+ */
+function createLegend(points) {
+  if (points.length < 2) return null;
+
+  const legend = document.createElement('span');
+  legend.className = 'chart-legend';
+  points.forEach(({ point }, index) => {
+    const entry = document.createElement('span');
+    entry.style.color = POINT_COLORS[index % POINT_COLORS.length];
+    entry.textContent = `● ${point.name}`;
+    legend.appendChild(entry);
+  });
+  return legend;
+}
+
+/**
+ * Running total of slot amounts, null where a slot has no data
+ * @param {Array<{value: number|null, noData: boolean}>} metricValues
+ * @returns {Array<number|null>}
+ */
+function accumulate(metricValues) {
+  let total = 0;
+  return metricValues.map(({ value, noData }) => {
+    if (noData) return null;
+    total += value ?? 0;
+    return total;
+  });
+}
+
+/**
+ * A metric's hourly values within a slot, placed at the middle of each hour
+ * @param {{startTime: Date, endTime: Date, periods: Array}} slot
+ * @param {object} metric
+ * @returns {Array<[number, number]>} [fraction of the slot, value] pairs
+ */
+function getHourlyValues(slot, metric) {
+  const span = slot.endTime - slot.startTime;
+  return slot.periods
+    .map(period => [(new Date(period.startTime) - slot.startTime + HOUR_MS / 2) / span, metric.extract(period)])
+    .filter(([, value]) => typeof value === 'number');
+}
+
+/**
+ * Get the range of several series, optionally forced to include some values
+ * @param {Array<Array<number|null>>} seriesValues
+ * @param {Array<number>} [include]
+ * @returns {{min: number, max: number}}
+ */
+function getRange(seriesValues, include = []) {
+  const values = [...seriesValues.flat(), ...include].filter(value => typeof value === 'number');
+  if (values.length === 0) return { min: 0, max: 1 };
+  return { min: Math.min(...values), max: Math.max(...values) };
+}
+
+/**
+ * Create chart rows for one resort: cumulative snowfall, hourly temperature
+ * with a freezing line and wind/gust bands, one series per forecast point
+ * @param {Array<{point: object, transformedData: object}>} points - Loaded points of the resort
+ * @param {Array} metrics - Full metric definitions (for labels and unit formatting)
+ * @param {Array} slots - Shared timeline slots
+ * @returns {Array<HTMLElement>}
+ */
+export function createResortChartRows(points, metrics, slots) {
+  const metric = id => metrics.find(m => m.id === id);
+  const snowMetric = metric('snow-amount');
+  const temperatureMetric = metric('temperature');
+  const windMetric = metric('wind');
+  const colorOf = index => POINT_COLORS[index % POINT_COLORS.length];
+  const rows = [];
+
+  if (snowMetric) {
+    const totals = points.map(({ transformedData }) => accumulate(transformedData.metricData[snowMetric.id]));
+    const range = getRange(totals, [0]);
+    rows.push(createChartRow({
+      label: `Snow total (${snowMetric.unit})`,
+      rangeText: `up to ${snowMetric.format(range.max)}`,
+      series: totals.map((values, index) => ({ color: colorOf(index), values })),
+      range,
+      legend: createLegend(points)
+    }, slots));
+  }
+
+  if (temperatureMetric) {
+    const temperatures = points.map(({ transformedData }) =>
+      transformedData.slots.map(slot => getHourlyValues(slot, temperatureMetric)));
+    const range = getRange(temperatures.map(hours => hours.flat().map(([, value]) => value)), [FREEZING_F]);
+    rows.push(createChartRow({
+      label: temperatureMetric.label,
+      rangeText: `${temperatureMetric.format(range.min)} to ${temperatureMetric.format(range.max)}, dashed = freezing`,
+      series: temperatures.map((hours, index) => ({ color: colorOf(index), hours })),
+      range,
+      guides: [FREEZING_F]
+    }, slots));
+  }
+
+  if (windMetric) {
+    const winds = points.map(({ transformedData }) => transformedData.metricData[windMetric.id].map(({ value }) => value));
+    const lower = winds.map(values => values.map(value => value?.speed ?? null));
+    const upper = winds.map(values => values.map(value => value?.gust ?? value?.speed ?? null));
+    const range = getRange(upper, [0]);
+    rows.push(createChartRow({
+      label: windMetric.label,
+      rangeText: `up to ${windMetric.format({ speed: range.max, direction: null, gust: null })}, band = gusts`,
+      series: winds.flatMap((_, index) => [
+        { color: colorOf(index), lower: lower[index], upper: upper[index] },
+        { color: colorOf(index), values: lower[index] }
+      ]),
+      range
+    }, slots));
+  }
+
+  return rows;
+}
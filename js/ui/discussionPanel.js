@@ -0,0 +1,131 @@
+// DOM rendering for NWS Area Forecast Discussions, one collapsible panel per office
+
+import { parseDiscussion } from '../data/discussionParser.js';
+
+/**
+ * Get the id of an office's discussion panel, for links from resort headers
+ * @param {string} office - e.g. "SEW"
+ * @returns {string}
+ */
+export function getDiscussionPanelId(office) {
+  return `afd-${office}`;
+}
+
+/**
+ * Format a discussion's issuance time
+ * @param {string} iso
+ * @returns {string} e.g. "Mon, 10/19, 3:00 AM"
+ */
+function formatIssuanceTime(iso) {
+  return new Date(iso).toLocaleString('en-US', {
+    weekday: 'short',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+}
+
+/**
+ * Create a collapsible block for one discussion section
+ * Winter and mountain sections start open.
+ * @param {{title: string, paragraphs: Array<string>, isWinter: boolean}} section
+ * @returns {HTMLElement}
+ */
+function createSection(section) {
+  const details = document.createElement('details');
+  details.className = 'discussion-section';
+  details.open = section.isWinter;
+
+  const summary = document.createElement('summary');
+  summary.textContent = section.title;
+  details.appendChild(summary);
+
+  section.paragraphs.forEach(text => {
+    const paragraph = document.createElement('p');
+    paragraph.textContent = text;
+    details.appendChild(paragraph);
+  });
+  return details;
+}
+
+/**
+ * Create the panel for one office's discussion
+ * @param {{office: string, discussion: object|null, error: string|null}} entry
+ * @returns {HTMLElement}
+ */
+function createDiscussionPanel({ office, discussion, error }) {
+  const panel = document.createElement('details');
+  panel.className = 'discussion-panel';
+  panel.id = getDiscussionPanelId(office);
+
+  const summary = document.createElement('summary');
+  summary.textContent = discussion
+    ? `Forecast Discussion · ${office} · issued ${formatIssuanceTime(discussion.issuanceTime)}`
+    : `Forecast Discussion · ${office}`;
+  panel.appendChild(summary);
+
+  if (!discussion) {
+    const message = document.createElement('p');
+    message.className = 'discussion-message';
+    message.textContent = error ? `Failed to load discussion: ${error}` : 'No discussion on file for this office.';
+    panel.appendChild(message);
+    return panel;
+  }
+
+  const { sections, highlights } = parseDiscussion(discussion.productText);
+
+  if (highlights.length > 0) {
+    const heading = document.createElement('h3');
+    heading.textContent = 'Snow & mountains';
+    panel.appendChild(heading);
+
+    const list = document.createElement('ul');
+    list.className = 'discussion-highlights';
+    highlights.forEach(({ section, text }) => {
+      const item = document.createElement('li');
+      const tag = document.createElement('span');
+      tag.className = 'discussion-tag';
+      tag.textContent = section;
+      item.appendChild(tag);
+      item.appendChild(document.createTextNode(text));
+      list.appendChild(item);
+    });
+    panel.appendChild(list);
+  }
+
+  sections.forEach(section => panel.appendChild(createSection(section)));
+
+  const link = document.createElement('a');
+  link.className = 'discussion-source';
+  link.href = `https://forecast.weather.gov/product.php?site=${office}&issuedby=${office}&product=AFD`;
+  link.target = '_blank';
+  link.rel = 'noopener';
+  link.textContent = 'Full text at weather.gov';
+  panel.appendChild(link);
+
+  return panel;
+}
+
+/**
+ * Create the discussion panels for every office
+ * @param {Array<{office: string, discussion: object|null, error: string|null}>} discussions
+ * @returns {HTMLElement}
+ */
+export function createDiscussionPanels(discussions) {
+  const container = document.createElement('section');
+  container.className = 'discussions';
+  discussions.forEach(entry => container.appendChild(createDiscussionPanel(entry)));
+  return container;
+}
+
+/**
+ * Open an office's discussion panel and scroll to it
+ * @param {string} office
+ */
+export function showDiscussion(office) {
+  const panel = document.getElementById(getDiscussionPanelId(office));
+  if (!panel) return;
+  panel.open = true;
+  panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
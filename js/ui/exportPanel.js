@@ -0,0 +1,92 @@
+// DOM rendering for the export panel, plus the file download helper
+
+import { POWDER_DAY_SNOW } from '../config/scoring.js';
+
+const MM_PER_INCH = 25.4;
+const REVOKE_DELAY_MS = 10000; // some browsers start the download after click() returns
+
+const FORMATS = [
+  { id: 'csv', label: 'CSV', title: 'One row per resort, metric and time slot' },
+  { id: 'json', label: 'JSON', title: 'Raw and formatted values with units' },
+  { id: 'ics', label: 'Calendar (.ics)', title: 'An all-day event for each powder day' }
+];
+
+/**
+ * Offer text content as a file download
+ * @param {string} filename
+ * @param {string} content
+ * @param {string} type - MIME type
+ */
+export function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY_MS);
+}
+
+/**
+ * Create the export panel
+ * Exports cover every resort shown, in the current units and slot size.
+ * @param {string} unitSystem - 'imperial' or 'metric'
+ * @param {function(string, {powderThreshold: number})} onExport - Called with the
+ *   format id and the powder day threshold in mm
+ * @returns {HTMLElement}
+ */
+export function createExportPanel(unitSystem, onExport) {
+  const panel = document.createElement('div');
+  panel.className = 'settings-panel export-panel';
+
+  const title = document.createElement('h2');
+  title.textContent = 'Export Forecast';
+  panel.appendChild(title);
+
+  const note = document.createElement('p');
+  note.className = 'rules-status';
+  note.textContent = 'Exports every shown resort in the current units and slot size.';
+  panel.appendChild(note);
+
+  const form = document.createElement('form');
+  form.className = 'settings-form';
+
+  const isMetric = unitSystem === 'metric';
+  const defaultThreshold = isMetric ? Math.round(POWDER_DAY_SNOW * MM_PER_INCH / 10) : POWDER_DAY_SNOW;
+  const thresholdLabel = document.createElement('label');
+  thresholdLabel.className = 'settings-field';
+  const thresholdInput = document.createElement('input');
+  Object.assign(thresholdInput, {
+    name: 'threshold',
+    type: 'number',
+    step: 'any',
+    min: '0',
+    value: defaultThreshold
+  });
+  thresholdLabel.append(`Powder day (${isMetric ? 'cm' : 'in'})`, thresholdInput);
+  form.appendChild(thresholdLabel);
+
+  FORMATS.forEach(format => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'settings-button';
+    button.textContent = format.label;
+    button.title = format.title;
+    button.addEventListener('click', () => {
+      // The buttons do not submit the form, so min="0" is not enforced; a
+      // threshold of zero or less would make every day a powder day
+      let threshold = parseFloat(thresholdInput.value);
+      if (!(threshold > 0)) {
+        threshold = defaultThreshold;
+        thresholdInput.value = defaultThreshold;
+      }
+      const powderThreshold = threshold * (isMetric ? 10 : MM_PER_INCH);
+      onExport(format.id, { powderThreshold });
+    });
+    form.appendChild(button);
+  });
+
+  panel.appendChild(form);
+  return panel;
+}
@@ -0,0 +1,123 @@
+// DOM rendering for the metric picker: show/hide and drag-reorder metric rows
+
+/**
+ * Move an id in front of another in a list
+ * @param {Array<string>} order
+ * @param {string} id - Id to move
+ * @param {string} targetId - Id it is dropped on
+ * @returns {Array<string>} New order
+ */
+function moveBefore(order, id, targetId) {
+  const result = order.filter(other => other !== id);
+  const targetIndex = result.indexOf(targetId);
+  result.splice(targetIndex === -1 ? result.length : targetIndex, 0, id);
+  return result;
+}
+
+/**
+ * Create one draggable metric item
+ * @param {object} metric
+ * @param {boolean} visible
+ * @param {boolean} locked - Whether the checkbox is disabled (the last visible metric)
+ * @param {function(string)} onToggle - Called with the metric id
+ * @param {function(string, string)} onDrop - Called with (draggedId, targetId)
+ * @returns {HTMLElement}
+ */
+function createMetricItem(metric, visible, locked, onToggle, onDrop) {
+  const item = document.createElement('li');
+  item.className = 'metric-picker-item';
+  item.draggable = true;
+  item.dataset.metricId = metric.id;
+
+  const handle = document.createElement('span');
+  handle.className = 'metric-picker-handle';
+  handle.textContent = '⋮⋮';
+  handle.title = 'Drag to reorder';
+  item.appendChild(handle);
+
+  const label = document.createElement('label');
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = visible;
+  checkbox.disabled = locked;
+  checkbox.addEventListener('change', () => onToggle(metric.id));
+  label.appendChild(checkbox);
+  label.appendChild(document.createTextNode(` ${metric.label}`));
+  item.appendChild(label);
+
+  item.addEventListener('dragstart', event => {
+    event.dataTransfer.setData('text/plain', metric.id);
+    event.dataTransfer.effectAllowed = 'move';
+    item.classList.add('dragging');
+  });
+  item.addEventListener('dragend', () => item.classList.remove('dragging'));
+  item.addEventListener('dragover', event => {
+    event.preventDefault();
+    item.classList.add('drag-over');
+  });
+  item.addEventListener('dragleave', () => item.classList.remove('drag-over'));
+  item.addEventListener('drop', event => {
+    event.preventDefault();
+    item.classList.remove('drag-over');
+    const draggedId = event.dataTransfer.getData('text/plain');
+    if (draggedId && draggedId !== metric.id) {
+      onDrop(draggedId, metric.id);
+    }
+  });
+
+  return item;
+}
+
+/**
+ * Create the metric picker
+ * Visible metrics are listed first in display order, hidden ones after them.
+ * @param {Array} allMetrics - Every metric definition
+ * @param {Array<string>|null} visibleIds - Visible metric ids in order, null for all
+ * @param {Array<{id: string, label: string, metricIds: Array<string>|null}>} presets
+ * @param {function(Array<string>|null)} onChange - Called with the new visible ids, null for all in default order
+ * @returns {HTMLElement}
+ */
+export function createMetricPicker(allMetrics, visibleIds, presets, onChange) {
+  const allIds = allMetrics.map(metric => metric.id);
+  const visible = visibleIds ?? allIds;
+  const order = [...visible, ...allIds.filter(id => !visible.includes(id))];
+
+  const emit = (newOrder, newVisible) => {
+    const ids = newOrder.filter(id => newVisible.includes(id));
+    onChange(ids.join(',') === allIds.join(',') ? null : ids);
+  };
+
+  const panel = document.createElement('div');
+  panel.className = 'metric-picker';
+
+  const presetBar = document.createElement('div');
+  presetBar.className = 'metric-picker-presets';
+  presets.forEach(preset => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'settings-button';
+    button.textContent = preset.label;
+    button.addEventListener('click', () => onChange(preset.metricIds));
+    presetBar.appendChild(button);
+  });
+  panel.appendChild(presetBar);
+
+  const list = document.createElement('ol');
+  list.className = 'metric-picker-list';
+  order.forEach(id => {
+    const metric = allMetrics.find(m => m.id === id);
+    list.appendChild(createMetricItem(
+      metric,
+      visible.includes(id),
+      // Keep at least one metric, an empty table is never what anyone wants
+      visible.length === 1 && visible.includes(id),
+      toggledId => emit(order, visible.includes(toggledId)
+        ? visible.filter(other => other !== toggledId)
+        : [...visible, toggledId]),
+      (draggedId, targetId) => emit(moveBefore(order, draggedId, targetId), visible)
+    ));
+  });
+  panel.appendChild(list);
+
+  return panel;
+}
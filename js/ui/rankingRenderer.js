@@ -0,0 +1,89 @@
+// DOM rendering for the ski quality ranking panel
+
+/**
+ * Get CSS class for a ski quality score
+ * @param {number|null} score - 0-100
+ * @returns {string}
+ */
+export function getScoreClass(score) {
+  if (score === null || score === undefined) return '';
+  if (score >= 70) return 'score-great';
+  if (score >= 50) return 'score-good';
+  if (score >= 30) return 'score-fair';
+  return 'score-poor';
+}
+
+/**
+ * Create the day selector for the ranking panel
+ * @param {Array<{dayLabel: string}>} days - Daily slots
+ * @param {number} selectedDayIndex
+ * @param {function(number)} onSelectDay - Called with the new day index
+ * @returns {HTMLElement}
+ */
+function createDaySelect(days, selectedDayIndex, onSelectDay) {
+  const label = document.createElement('label');
+  label.className = 'header-select';
+  label.textContent = 'Day ';
+
+  const select = document.createElement('select');
+  select.className = 'ranking-day-select';
+  days.forEach((day, index) => {
+    select.appendChild(new Option(day.dayLabel, String(index), false, index === selectedDayIndex));
+  });
+  select.addEventListener('change', () => onSelectDay(parseInt(select.value, 10)));
+
+  label.appendChild(select);
+  return label;
+}
+
+/**
+ * Create the ranking panel listing resorts best first for one day
+ * @param {Array<{resort: object, score: number|null}>} ranking - From rankResorts
+ * @param {Array<{dayLabel: string}>} days - Daily slots to choose from
+ * @param {number} selectedDayIndex
+ * @param {function(number)} onSelectDay
+ * @returns {HTMLElement}
+ */
+export function createRankingPanel(ranking, days, selectedDayIndex, onSelectDay) {
+  const panel = document.createElement('section');
+  panel.className = 'ranking-panel';
+
+  const header = document.createElement('div');
+  header.className = 'ranking-header';
+
+  const title = document.createElement('h2');
+  title.textContent = 'Best Skiing';
+  title.title = 'Ski score from new snow, snow level vs. base, temperature, wind and precip type (0-100)';
+  header.appendChild(title);
+  header.appendChild(createDaySelect(days, selectedDayIndex, onSelectDay));
+  panel.appendChild(header);
+
+  const list = document.createElement('ol');
+  list.className = 'ranking-list';
+
+  ranking.forEach(({ resort, score }) => {
+    const item = document.createElement('li');
+    item.className = 'ranking-item';
+
+    const name = document.createElement('span');
+    name.className = 'ranking-name';
+    name.textContent = resort.name;
+    item.appendChild(name);
+
+    const badge = document.createElement('span');
+    badge.className = 'score-badge';
+    if (score === null) {
+      badge.textContent = 'No data';
+      badge.classList.add('no-score');
+    } else {
+      badge.textContent = String(score);
+      badge.classList.add(getScoreClass(score));
+    }
+    item.appendChild(badge);
+
+    list.appendChild(item);
+  });
+
+  panel.appendChild(list);
+  return panel;
+}
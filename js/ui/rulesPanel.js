@@ -0,0 +1,198 @@
+// DOM rendering for the threshold rules panel: rules, notification status
+// and the history of recent matches
+
+import { ruleTypes, getRuleType } from '../config/alertRules.js';
+import { describeRule } from '../data/ruleEvaluator.js';
+
+const NOTIFICATION_MESSAGES = {
+  unsupported: 'This browser cannot show notifications; matches are listed below.',
+  denied: 'Notifications are blocked for this page; matches are listed below.',
+  granted: 'Notifications are on. Each new match notifies once.'
+};
+
+/**
+ * Create a small button
+ * @param {string} text
+ * @param {function()} onClick
+ * @returns {HTMLButtonElement}
+ */
+function createButton(text, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'settings-button';
+  button.textContent = text;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * Create a labeled select
+ * @param {string} labelText
+ * @param {string} name
+ * @param {Array<{value: string, text: string}>} options
+ * @returns {HTMLElement}
+ */
+function createSelectField(labelText, name, options) {
+  const label = document.createElement('label');
+  label.className = 'settings-field';
+  label.textContent = labelText;
+
+  const select = document.createElement('select');
+  select.name = name;
+  options.forEach(({ value, text }) => select.appendChild(new Option(text, value)));
+  label.appendChild(select);
+  return label;
+}
+
+/**
+ * Create the form for adding a rule
+ * @param {Array} resorts - Resorts a rule can be limited to
+ * @param {string} unitSystem
+ * @param {function(object)} onAdd - Called with {typeId, resortId, value} in base units; may throw
+ * @returns {HTMLElement}
+ */
+function createAddForm(resorts, unitSystem, onAdd) {
+  const form = document.createElement('form');
+  form.className = 'settings-form';
+
+  form.appendChild(createSelectField('Resort', 'resortId', [
+    { value: '', text: 'All resorts' },
+    ...resorts.map(resort => ({ value: resort.id, text: resort.name }))
+  ]));
+  form.appendChild(createSelectField('When', 'typeId', ruleTypes.map(type => ({
+    value: type.id,
+    text: `${type.label} ${type.operator === 'lte' ? '≤' : '≥'}`
+  }))));
+
+  const valueLabel = document.createElement('label');
+  valueLabel.className = 'settings-field';
+  const valueInput = document.createElement('input');
+  Object.assign(valueInput, { name: 'value', type: 'number', step: 'any', min: '0', required: true });
+  valueLabel.append('Threshold', valueInput);
+  form.appendChild(valueLabel);
+
+  // Show the unit of the chosen rule type next to the threshold
+  const unit = document.createElement('span');
+  unit.className = 'rules-unit';
+  const updateUnit = () => {
+    unit.textContent = getRuleType(form.elements.typeId.value).units[unitSystem];
+  };
+  form.elements.typeId.addEventListener('change', updateUnit);
+  updateUnit();
+  form.appendChild(unit);
+
+  const submit = document.createElement('button');
+  submit.type = 'submit';
+  submit.className = 'settings-button';
+  submit.textContent = 'Add rule';
+  form.appendChild(submit);
+
+  const message = document.createElement('p');
+  message.className = 'settings-message';
+  form.appendChild(message);
+
+  form.addEventListener('submit', event => {
+    event.preventDefault();
+    const { elements } = form;
+    const type = getRuleType(elements.typeId.value);
+    try {
+      onAdd({
+        typeId: type.id,
+        resortId: elements.resortId.value || null,
+        value: parseFloat(elements.value.value) * type.scale[unitSystem]
+      });
+    } catch (error) {
+      message.textContent = error.message;
+    }
+  });
+
+  return form;
+}
+
+/**
+ * Create the rules panel
+ * @param {object} state
+ * @param {Array} state.rules - Saved rules
+ * @param {Array} state.resorts - Active resorts
+ * @param {Array<{message: string, firedAt: number}>} state.history - Recent matches, newest first
+ * @param {string} state.unitSystem
+ * @param {string} state.notificationStatus - 'unsupported', 'default', 'granted' or 'denied'
+ * @param {object} handlers
+ * @param {function(object)} handlers.onAdd - Add a rule; throws with a message when invalid
+ * @param {function(string)} handlers.onRemove - Remove a rule by id
+ * @param {function()} handlers.onEnableNotifications - Ask for notification permission
+ * @returns {HTMLElement}
+ */
+export function createRulesPanel({ rules, resorts, history, unitSystem, notificationStatus }, handlers) {
+  const panel = document.createElement('div');
+  panel.className = 'settings-panel rules-panel';
+
+  const title = document.createElement('h2');
+  title.textContent = 'Snow & Wind Alerts';
+  panel.appendChild(title);
+
+  const status = document.createElement('p');
+  status.className = 'rules-status';
+  if (notificationStatus === 'default') {
+    status.append('Get a browser notification when a rule matches after a refresh. ');
+    status.appendChild(createButton('Enable notifications', handlers.onEnableNotifications));
+  } else {
+    status.textContent = NOTIFICATION_MESSAGES[notificationStatus];
+  }
+  panel.appendChild(status);
+
+  const list = document.createElement('ul');
+  list.className = 'settings-list';
+  rules.forEach(rule => {
+    const item = document.createElement('li');
+    item.className = 'settings-item';
+
+    const name = document.createElement('span');
+    name.className = 'settings-name';
+    const resort = resorts.find(entry => entry.id === rule.resortId);
+    const scope = rule.resortId === null ? 'All resorts' : resort?.name ?? rule.resortId;
+    name.textContent = `${scope}: ${describeRule(rule, unitSystem)}`;
+    item.appendChild(name);
+
+    const actions = document.createElement('span');
+    actions.className = 'settings-actions';
+    actions.appendChild(createButton('Remove', () => handlers.onRemove(rule.id)));
+    item.appendChild(actions);
+
+    list.appendChild(item);
+  });
+  if (rules.length > 0) {
+    panel.appendChild(list);
+  }
+
+  panel.appendChild(createAddForm(resorts, unitSystem, handlers.onAdd));
+
+  const historyTitle = document.createElement('h3');
+  historyTitle.className = 'rules-history-title';
+  historyTitle.textContent = 'Recent matches';
+  panel.appendChild(historyTitle);
+
+  const historyList = document.createElement('ul');
+  historyList.className = 'rules-history';
+  history.forEach(({ message, firedAt }) => {
+    const item = document.createElement('li');
+    const time = document.createElement('time');
+    time.dateTime = new Date(firedAt).toISOString();
+    time.textContent = new Date(firedAt).toLocaleString('en-US', {
+      weekday: 'short',
+      hour: 'numeric',
+      minute: '2-digit'
+    });
+    item.append(time, ` ${message}`);
+    historyList.appendChild(item);
+  });
+  if (history.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'rules-empty';
+    empty.textContent = 'No matches yet';
+    historyList.appendChild(empty);
+  }
+  panel.appendChild(historyList);
+
+  return panel;
+}
@@ -0,0 +1,194 @@
+// DOM rendering for the resort list settings panel
+
+import { parseMapClickUrl } from '../storage/resortList.js';
+
+/**
+ * Create a small button
+ * @param {string} text
+ * @param {string} title
+ * @param {function()} onClick
+ * @param {boolean} [disabled=false]
+ * @returns {HTMLButtonElement}
+ */
+function createButton(text, title, onClick, disabled = false) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'settings-button';
+  button.textContent = text;
+  button.title = title;
+  button.disabled = disabled;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * Create one row of the resort list
+ * @param {object} resort
+ * @param {number} index
+ * @param {number} count - Number of resorts in the list
+ * @param {boolean} hidden
+ * @param {object} handlers - See createSettingsPanel
+ * @returns {HTMLElement}
+ */
+function createResortItem(resort, index, count, hidden, handlers) {
+  const item = document.createElement('li');
+  item.className = 'settings-item';
+  if (hidden) {
+    item.classList.add('settings-item-hidden');
+  }
+
+  const name = document.createElement('span');
+  name.className = 'settings-name';
+  name.textContent = resort.name;
+  item.appendChild(name);
+
+  if (resort.custom) {
+    const coords = document.createElement('span');
+    coords.className = 'settings-coords';
+    coords.textContent = `${resort.lat}, ${resort.lon}`;
+    item.appendChild(coords);
+  }
+
+  const actions = document.createElement('span');
+  actions.className = 'settings-actions';
+  actions.appendChild(createButton('↑', 'Move up', () => handlers.onMove(resort.id, -1), index === 0));
+  actions.appendChild(createButton('↓', 'Move down', () => handlers.onMove(resort.id, 1), index === count - 1));
+
+  if (resort.custom) {
+    actions.appendChild(createButton('Remove', 'Remove this location', () => handlers.onRemove(resort.id)));
+  } else {
+    actions.appendChild(createButton(
+      hidden ? 'Show' : 'Hide',
+      hidden ? 'Show this resort' : 'Hide this resort',
+      () => handlers.onToggleHidden(resort.id, !hidden)
+    ));
+  }
+  item.appendChild(actions);
+
+  return item;
+}
+
+/**
+ * Create a labeled form input
+ * @param {string} labelText
+ * @param {object} attributes - Input properties, e.g. {name, type, placeholder}
+ * @returns {HTMLElement}
+ */
+function createField(labelText, attributes) {
+  const label = document.createElement('label');
+  label.className = 'settings-field';
+  label.textContent = labelText;
+
+  const input = document.createElement('input');
+  Object.assign(input, attributes);
+  label.appendChild(input);
+  return label;
+}
+
+/**
+ * Create the form for adding a location by name and lat/lon or by MapClick URL
+ * @param {function(object)} onAdd - Called with {name, lat, lon, elevation, provider}; may throw
+ * @returns {HTMLElement}
+ */
+function createAddForm(onAdd) {
+  const form = document.createElement('form');
+  form.className = 'settings-form';
+
+  form.appendChild(createField('Name', { name: 'name', type: 'text', placeholder: 'e.g. Artist Point' }));
+  form.appendChild(createField('MapClick URL', {
+    name: 'url',
+    type: 'url',
+    placeholder: 'https://forecast.weather.gov/MapClick.php?lat=…&lon=…'
+  }));
+  form.appendChild(createField('Lat', { name: 'lat', type: 'number', step: 'any' }));
+  form.appendChild(createField('Lon', { name: 'lon', type: 'number', step: 'any' }));
+  form.appendChild(createField('Elevation (ft)', { name: 'elevation', type: 'number', step: '1' }));
+
+  const providerLabel = document.createElement('label');
+  providerLabel.className = 'settings-field';
+  providerLabel.textContent = 'Source';
+  const providerSelect = document.createElement('select');
+  providerSelect.name = 'provider';
+  providerSelect.appendChild(new Option('NOAA', 'noaa'));
+  providerSelect.appendChild(new Option('Open-Meteo (outside US)', 'open-meteo'));
+  providerLabel.appendChild(providerSelect);
+  form.appendChild(providerLabel);
+
+  const submit = document.createElement('button');
+  submit.type = 'submit';
+  submit.className = 'settings-button';
+  submit.textContent = 'Add';
+  form.appendChild(submit);
+
+  const message = document.createElement('p');
+  message.className = 'settings-message';
+  form.appendChild(message);
+
+  // Fill lat/lon as soon as a MapClick URL is pasted
+  form.elements.url.addEventListener('input', () => {
+    const coords = parseMapClickUrl(form.elements.url.value);
+    if (coords) {
+      form.elements.lat.value = coords.lat;
+      form.elements.lon.value = coords.lon;
+    }
+  });
+
+  form.addEventListener('submit', event => {
+    event.preventDefault();
+    const { elements } = form;
+
+    // A pasted URL wins over typed coordinates
+    const coords = elements.url.value ? parseMapClickUrl(elements.url.value) : null;
+    if (elements.url.value && !coords) {
+      message.textContent = 'That does not look like a forecast.weather.gov MapClick URL';
+      return;
+    }
+
+    const elevation = parseFloat(elements.elevation.value);
+    try {
+      onAdd({
+        name: elements.name.value,
+        lat: coords ? coords.lat : parseFloat(elements.lat.value),
+        lon: coords ? coords.lon : parseFloat(elements.lon.value),
+        elevation: Number.isNaN(elevation) ? null : elevation,
+        provider: elements.provider.value
+      });
+      form.reset();
+      message.textContent = '';
+    } catch (error) {
+      message.textContent = error.message;
+    }
+  });
+
+  return form;
+}
+
+/**
+ * Create the settings panel for managing the resort list
+ * @param {Array<object>} resorts - Every resort, in display order
+ * @param {Array<string>} hiddenIds - Ids of hidden resorts
+ * @param {object} handlers
+ * @param {function(object)} handlers.onAdd - Add a location; throws with a message when invalid
+ * @param {function(string)} handlers.onRemove - Remove a custom location
+ * @param {function(string, boolean)} handlers.onToggleHidden - Hide or show a resort
+ * @param {function(string, number)} handlers.onMove - Move a resort by an offset
+ * @returns {HTMLElement}
+ */
+export function createSettingsPanel(resorts, hiddenIds, handlers) {
+  const panel = document.createElement('div');
+  panel.className = 'settings-panel';
+
+  const title = document.createElement('h2');
+  title.textContent = 'Resorts & Locations';
+  panel.appendChild(title);
+
+  const list = document.createElement('ol');
+  list.className = 'settings-list';
+  resorts.forEach((resort, index) => {
+    list.appendChild(createResortItem(resort, index, resorts.length, hiddenIds.includes(resort.id), handlers));
+  });
+  panel.appendChild(list);
+
+  panel.appendChild(createAddForm(handlers.onAdd));
+  return panel;
+}
@@ -1,5 +1,10 @@
 // DOM table rendering for forecast display
 
+import { getResortPoints } from '../config/resorts.js';
+import { getScoreClass } from './rankingRenderer.js';
+import { createResortChartRows } from './chartRenderer.js';
+import { getDiscussionPanelId, showDiscussion } from './discussionPanel.js';
+
 /**
  * Create a loading indicator
  * @param {string} resortName
@@ -8,35 +13,121 @@
 export function createLoadingElement(resortName) {
   const container = document.createElement('div');
   container.className = 'resort-loading';
-  container.innerHTML = `
-    <h2>${resortName}</h2>
-    <div class="loading-spinner">
-      <div class="spinner"></div>
-      <span>Loading forecast...</span>
-    </div>
-  `;
+
+  // Resort names can be user-entered, so text goes in through textContent
+  const heading = document.createElement('h2');
+  heading.textContent = resortName;
+  container.appendChild(heading);
+
+  const spinnerRow = document.createElement('div');
+  spinnerRow.className = 'loading-spinner';
+  const spinner = document.createElement('div');
+  spinner.className = 'spinner';
+  const label = document.createElement('span');
+  label.textContent = 'Loading forecast...';
+  spinnerRow.append(spinner, label);
+  container.appendChild(spinnerRow);
+
   return container;
 }
 
+/**
+ * Explain an API error type in plain words
+ * @param {string|null} errorType - Error class name from the API layer
+ * @returns {string}
+ */
+function getErrorHint(errorType) {
+  switch (errorType) {
+    case 'NetworkError':
+      return 'Could not reach the forecast service. Check your connection.';
+    case 'ServiceUnavailableError':
+      return 'The forecast service appears to be down. Try again in a few minutes.';
+    case 'RateLimitError':
+      return 'The forecast service is limiting requests. Try again in a few minutes.';
+    case 'InvalidLocationError':
+      return 'No forecast is available for this location. Check its coordinates.';
+    default:
+      return '';
+  }
+}
+
 /**
  * Create an error display
  * @param {string} resortName
  * @param {string} errorMessage
+ * @param {string|null} [errorType] - Error class name from the API layer
  * @returns {HTMLElement}
  */
-export function createErrorElement(resortName, errorMessage) {
+export function createErrorElement(resortName, errorMessage, errorType = null) {
   const container = document.createElement('div');
   container.className = 'resort-error';
-  container.innerHTML = `
-    <h2>${resortName}</h2>
-    <div class="error-message">
-      <span class="error-icon">⚠️</span>
-      <span>Failed to load forecast: ${errorMessage}</span>
-    </div>
-  `;
+
+  // Resort names and error messages can carry user input, so no innerHTML
+  const heading = document.createElement('h2');
+  heading.textContent = resortName;
+  container.appendChild(heading);
+
+  const message = document.createElement('div');
+  message.className = 'error-message';
+  const icon = document.createElement('span');
+  icon.className = 'error-icon';
+  icon.textContent = '⚠️';
+  const text = document.createElement('span');
+  text.textContent = `Failed to load forecast: ${errorMessage}`;
+  message.append(icon, text);
+  container.appendChild(message);
+
+  const hint = getErrorHint(errorType);
+  if (hint) {
+    const hintEl = document.createElement('p');
+    hintEl.className = 'error-hint';
+    hintEl.textContent = hint;
+    container.appendChild(hintEl);
+  }
   return container;
 }
 
+/**
+ * Create the error shown when no forecasts could be loaded at all
+ * @param {string} errorMessage
+ * @param {function()} onRetry
+ * @returns {HTMLElement}
+ */
+export function createGlobalError(errorMessage, onRetry) {
+  const container = document.createElement('div');
+  container.className = 'global-error';
+
+  const icon = document.createElement('span');
+  icon.className = 'error-icon';
+  icon.textContent = '⚠️';
+
+  const heading = document.createElement('h2');
+  heading.textContent = 'Failed to load forecasts';
+
+  const message = document.createElement('p');
+  message.textContent = errorMessage;
+
+  const retry = document.createElement('button');
+  retry.textContent = 'Retry';
+  retry.addEventListener('click', onRetry);
+
+  container.append(icon, heading, message, retry);
+  return container;
+}
+
+/**
+ * Create the notice shown when a shared link names locations this browser does not have
+ * @param {Array<string>} resortIds - Ids from the link that could not be shown
+ * @returns {HTMLElement}
+ */
+export function createMissingResortsNotice(resortIds) {
+  const notice = document.createElement('p');
+  notice.className = 'link-notice';
+  const count = resortIds.length === 1 ? '1 location' : `${resortIds.length} locations`;
+  notice.textContent = `This link includes ${count} not available here: ${resortIds.join(', ')}`;
+  return notice;
+}
+
 /**
  * Get CSS class for temperature value
  * @param {number} temp
@@ -51,11 +142,13 @@ function getTemperatureClass(temp) {
 }
 
 /**
- * Get CSS class for wind speed value
- * @param {number} speed
+ * Get CSS class for wind value, colored by gust when known
+ * since gusts are what close the lifts
+ * @param {{speed: number|null, gust: number|null}} wind - Speeds in mph
  * @returns {string}
  */
-function getWindClass(speed) {
+function getWindClass(wind) {
+  const speed = wind?.gust ?? wind?.speed ?? null;
   if (speed === null) return '';
   if (speed >= 40) return 'wind-extreme';
   if (speed >= 25) return 'wind-high';
@@ -102,6 +195,16 @@ function getRainAmountClass(value) {
   return 'rain-light';                      // trace to ~0.2 inches
 }
 
+/**
+ * Get CSS class for snow level value
+ * @param {{level: number, estimated: boolean}} value
+ * @returns {string}
+ */
+function getSnowLevelClass(value) {
+  if (!value || value.level === null) return '';
+  return value.estimated ? 'snow-level-estimated' : '';
+}
+
 /**
  * Get cell styling based on metric and value
  * @param {string} metricId
@@ -113,13 +216,15 @@ function getCellClass(metricId, value) {
     case 'temperature':
       return getTemperatureClass(value);
     case 'wind':
-      return getWindClass(value?.speed);
+      return getWindClass(value);
     case 'conditions':
       return getConditionsClass(value);
     case 'snow-amount':
       return getSnowAmountClass(value);
     case 'rain-amount':
       return getRainAmountClass(value);
+    case 'snow-level':
+      return getSnowLevelClass(value);
     default:
       return '';
   }
@@ -138,12 +243,7 @@ export function createForecastTable(resort, transformedData, metrics) {
   container.id = `forecast-${resort.id}`;
 
   const header = document.createElement('h2');
-  const link = document.createElement('a');
-  link.href = `https://forecast.weather.gov/MapClick.php?lat=${resort.lat}&lon=${resort.lon}`;
-  link.target = '_blank';
-  link.rel = 'noopener';
-  link.textContent = resort.name;
-  header.appendChild(link);
+  header.appendChild(createMapClickLink(getResortPoints(resort)[0], resort.name, resort.provider));
   container.appendChild(header);
 
   const tableWrapper = document.createElement('div');
@@ -257,12 +357,739 @@ export function createForecastTable(resort, transformedData, metrics) {
 }
 
 /**
- * Create a combined forecast table for all resorts
- * @param {Array} resortData - Array of {resort, transformedData} objects
+ * Format a point elevation for display
+ * @param {number|null} elevation - Elevation in feet
+ * @param {string} unitSystem - 'imperial' or 'metric'
+ * @returns {string}
+ */
+function formatElevation(elevation, unitSystem) {
+  if (elevation === null || elevation === undefined) return '';
+  if (unitSystem === 'metric') {
+    return `${Math.round(elevation * 0.3048).toLocaleString()} m`;
+  }
+  return `${Math.round(elevation).toLocaleString()} ft`;
+}
+
+/**
+ * Create a link to the NOAA MapClick page for a location
+ * Locations served by other providers are outside NWS coverage and get plain text.
+ * @param {{lat: number, lon: number}} location
+ * @param {string} text
+ * @param {string} [provider='noaa'] - Forecast provider id of the resort
+ * @returns {HTMLElement}
+ */
+function createMapClickLink(location, text, provider = 'noaa') {
+  if (provider !== 'noaa') {
+    const span = document.createElement('span');
+    span.textContent = text;
+    return span;
+  }
+
+  const link = document.createElement('a');
+  link.href = `https://forecast.weather.gov/MapClick.php?lat=${location.lat}&lon=${location.lon}`;
+  link.target = '_blank';
+  link.rel = 'noopener';
+  link.textContent = text;
+  return link;
+}
+
+/**
+ * Format how long ago a forecast was fetched
+ * @param {number} timestamp - Fetch time (ms)
+ * @returns {string} e.g., "as of 2h ago"
+ */
+function formatAge(timestamp) {
+  const minutes = Math.round((Date.now() - timestamp) / 60000);
+  if (minutes < 60) return `as of ${minutes}m ago`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 48) return `as of ${hours}h ago`;
+  return `as of ${Math.round(hours / 24)}d ago`;
+}
+
+/**
+ * Create a badge showing the age of stale (stored) forecast data
+ * @param {Array} points - Point results with {stale, fetchedAt}
+ * @returns {HTMLElement|null} Badge, or null if every point is fresh
+ */
+function createStaleBadge(points) {
+  const staleTimes = points
+    .filter(({ stale, fetchedAt }) => stale && fetchedAt)
+    .map(({ fetchedAt }) => fetchedAt);
+  if (staleTimes.length === 0) return null;
+
+  const oldest = Math.min(...staleTimes);
+  const badge = document.createElement('span');
+  badge.className = 'stale-badge';
+  badge.textContent = formatAge(oldest);
+  badge.title = `Showing saved forecast from ${new Date(oldest).toLocaleString('en-US')}`;
+  return badge;
+}
+
+// Most severe first
+const ALERT_SEVERITIES = ['Extreme', 'Severe', 'Moderate', 'Minor', 'Unknown'];
+
+/**
+ * Get CSS class for an alert severity
+ * @param {string} severity - NWS severity, e.g. "Severe"
+ * @returns {string}
+ */
+function getAlertClass(severity) {
+  const known = ALERT_SEVERITIES.includes(severity) ? severity : 'Unknown';
+  return `alert-${known.toLowerCase()}`;
+}
+
+/**
+ * Sort alerts most severe first
+ * @param {Array} alerts
+ * @returns {Array}
+ */
+function sortBySeverity(alerts) {
+  const rank = alert => {
+    const index = ALERT_SEVERITIES.indexOf(alert.severity);
+    return index === -1 ? ALERT_SEVERITIES.length : index;
+  };
+  return alerts.slice().sort((a, b) => rank(a) - rank(b));
+}
+
+/**
+ * Find the most severe alert in effect during each slot
+ * An alert runs from its onset (or effective time) to its end (or expiry).
+ * @param {Array} alerts
+ * @param {Array} slots
+ * @returns {Array<object|null>} Alert per slot, null when none applies
+ */
+function getAlertSlots(alerts, slots) {
+  const sorted = sortBySeverity(alerts);
+  return slots.map(slot => sorted.find(alert => {
+    const start = new Date(alert.onset ?? alert.effective ?? 0);
+    const end = alert.ends ?? alert.expires;
+    return start < slot.endTime && (!end || new Date(end) > slot.startTime);
+  }) ?? null);
+}
+
+/**
+ * Mark a cell as falling within an alert period
+ * @param {HTMLElement} cell
+ * @param {object|null} alert
+ */
+function markAlertSlot(cell, alert) {
+  if (!alert) return;
+  cell.classList.add('alert-slot', getAlertClass(alert.severity));
+  cell.title = cell.title ? `${cell.title} · ${alert.event}` : alert.event;
+}
+
+/**
+ * Format an alert time for display
+ * @param {string|null} iso
+ * @returns {string}
+ */
+function formatAlertTime(iso) {
+  if (!iso) return 'further notice';
+  return new Date(iso).toLocaleString('en-US', {
+    weekday: 'short',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+}
+
+/**
+ * Create the alert badge for a resort header, named after its most severe alert
+ * @param {Array} alerts - Non-empty list of active alerts
+ * @param {function()} onClick
+ * @returns {HTMLElement}
+ */
+function createAlertBadge(alerts, onClick) {
+  const [worst] = sortBySeverity(alerts);
+  const badge = document.createElement('button');
+  badge.type = 'button';
+  badge.className = `alert-badge ${getAlertClass(worst.severity)}`;
+  badge.textContent = alerts.length > 1 ? `⚠️ ${worst.event} +${alerts.length - 1}` : `⚠️ ${worst.event}`;
+  badge.title = 'Show alert details';
+  badge.addEventListener('click', onClick);
+  return badge;
+}
+
+/**
+ * Create the expandable row listing a resort's alerts, hidden at first
+ * @param {string} resortId - Lets a re-render find the row to keep it open
+ * @param {Array} alerts
+ * @param {number} slotCount
+ * @returns {HTMLElement}
+ */
+function createAlertPanelRow(resortId, alerts, slotCount) {
+  const row = document.createElement('tr');
+  row.className = 'alert-panel-row';
+  row.dataset.resortId = resortId;
+  row.hidden = true;
+
+  const cell = document.createElement('td');
+  cell.className = 'alert-panel';
+  cell.colSpan = slotCount + 1;
+
+  sortBySeverity(alerts).forEach(alert => {
+    const item = document.createElement('div');
+    item.className = `alert-item ${getAlertClass(alert.severity)}`;
+
+    const headline = document.createElement('strong');
+    headline.textContent = alert.headline ?? alert.event;
+    item.appendChild(headline);
+
+    const times = document.createElement('div');
+    times.className = 'alert-times';
+    times.textContent = `${alert.severity} · Effective ${formatAlertTime(alert.effective)}`
+      + ` · Expires ${formatAlertTime(alert.expires)}`;
+    item.appendChild(times);
+
+    // The hazard itself can start later and last past the message's expiry
+    if (alert.onset || alert.ends) {
+      const hazard = document.createElement('div');
+      hazard.className = 'alert-times';
+      hazard.textContent = `Onset ${formatAlertTime(alert.onset ?? alert.effective)}`
+        + ` · Ends ${formatAlertTime(alert.ends)}`;
+      item.appendChild(hazard);
+    }
+
+    if (alert.description) {
+      const description = document.createElement('p');
+      description.className = 'alert-description';
+      description.textContent = alert.description;
+      item.appendChild(description);
+    }
+    if (alert.instruction) {
+      const instruction = document.createElement('p');
+      instruction.className = 'alert-description';
+      instruction.textContent = alert.instruction;
+      item.appendChild(instruction);
+    }
+
+    cell.appendChild(item);
+  });
+
+  row.appendChild(cell);
+  return row;
+}
+
+const DANGER_LABELS = ['No rating', 'Low', 'Moderate', 'Considerable', 'High', 'Extreme'];
+
+/**
+ * Describe an elevation band's danger level
+ * @param {number|null} level - 1-5
+ * @returns {string}
+ */
+function getDangerLabel(level) {
+  return DANGER_LABELS[level ?? 0];
+}
+
+/**
+ * Create the avalanche danger row for a resort: "above/near/below treeline"
+ * ratings in every slot the forecast covers, colored by the highest band
+ * @param {{forecast: object|null, error: string|null}} avalanche
+ * @param {Array} slots
+ * @returns {HTMLElement}
+ */
+function createDangerRow({ forecast, error }, slots) {
+  const row = document.createElement('tr');
+  row.className = 'metric-row danger-row';
+
+  const labelCell = document.createElement('td');
+  labelCell.className = 'metric-label';
+  labelCell.title = 'Avalanche danger above / near / below treeline';
+  if (forecast?.link) {
+    const link = document.createElement('a');
+    link.href = forecast.link;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.textContent = 'Avalanche';
+    labelCell.appendChild(link);
+  } else {
+    labelCell.textContent = 'Avalanche';
+  }
+  row.appendChild(labelCell);
+
+  // Nothing to spread across the slots: say why in one cell
+  if (!forecast || forecast.offSeason) {
+    const cell = document.createElement('td');
+    cell.className = 'metric-value model-unavailable';
+    cell.colSpan = slots.length;
+    cell.textContent = forecast
+      ? `${forecast.center} is not issuing danger ratings (off season)`
+      : 'Avalanche forecast unavailable';
+    cell.title = error ?? '';
+    row.appendChild(cell);
+    return row;
+  }
+
+  slots.forEach((slot, index) => {
+    const cell = document.createElement('td');
+    cell.className = 'metric-value';
+
+    const midpoint = (slot.startTime.getTime() + slot.endTime.getTime()) / 2;
+    const day = forecast.days.find(({ startTime, endTime }) =>
+      midpoint >= startTime.getTime() && midpoint < endTime.getTime());
+    const levels = day ? [day.upper, day.middle, day.lower] : [];
+    const highest = Math.max(0, ...levels.filter(level => level !== null));
+
+    if (highest === 0) {
+      cell.classList.add('no-data');
+      cell.title = 'No rating';
+    } else {
+      cell.textContent = levels.map(level => level ?? '–').join('/');
+      cell.classList.add(`danger-${highest}`);
+      cell.title = `${forecast.zone}: above treeline ${getDangerLabel(day.upper)}, `
+        + `near treeline ${getDangerLabel(day.middle)}, below treeline ${getDangerLabel(day.lower)}`;
+    }
+
+    if (index > 0 && slot.dayLabel !== slots[index - 1].dayLabel) {
+      cell.classList.add('day-start');
+    }
+    row.appendChild(cell);
+  });
+
+  return row;
+}
+
+/**
+ * Classify a pass restriction for highlighting
+ * @param {string} text - WSDOT restriction text
+ * @returns {string} CSS class
+ */
+function getRestrictionClass(text) {
+  if (/\bclosed\b/i.test(text)) return 'pass-closed';
+  if (/chains/i.test(text)) return 'pass-chains';
+  if (/traction/i.test(text)) return 'pass-traction';
+  return 'pass-open';
+}
+
+/**
+ * Create one labelled item of the pass conditions row
+ * @param {string} label
+ * @param {string} value
+ * @param {string} [className]
+ * @returns {HTMLElement}
+ */
+function createPassItem(label, value, className) {
+  const item = document.createElement('span');
+  item.className = className ? `pass-item ${className}` : 'pass-item';
+
+  const labelEl = document.createElement('span');
+  labelEl.className = 'pass-item-label';
+  labelEl.textContent = `${label}: `;
+  item.appendChild(labelEl);
+  item.appendChild(document.createTextNode(value));
+  return item;
+}
+
+/**
+ * Create the row of current highway pass conditions for a resort
+ * @param {{pass: object|null, error: string|null}} passEntry
+ * @param {number} slotCount
+ * @param {string} unitSystem
+ * @returns {HTMLElement}
+ */
+function createPassRow({ pass, error }, slotCount, unitSystem) {
+  const row = document.createElement('tr');
+  row.className = 'metric-row pass-row';
+
+  const labelCell = document.createElement('td');
+  labelCell.className = 'metric-label';
+  labelCell.textContent = 'Pass';
+  labelCell.title = pass ? `${pass.name}, reported by WSDOT` : 'WSDOT pass conditions';
+  row.appendChild(labelCell);
+
+  const cell = document.createElement('td');
+  cell.className = 'pass-conditions';
+  cell.colSpan = slotCount;
+  row.appendChild(cell);
+
+  if (!pass) {
+    cell.classList.add('model-unavailable');
+    cell.textContent = 'Pass conditions unavailable';
+    cell.title = error ?? '';
+    return row;
+  }
+
+  if (pass.closed) {
+    row.classList.add('pass-row-closed');
+    const closed = document.createElement('strong');
+    closed.className = 'pass-item pass-closed';
+    closed.textContent = 'CLOSED';
+    cell.appendChild(closed);
+  }
+
+  if (pass.temperature !== null) {
+    const temp = unitSystem === 'metric' ? (pass.temperature - 32) * 5 / 9 : pass.temperature;
+    cell.appendChild(createPassItem('Temp', `${Math.round(temp)}°${unitSystem === 'metric' ? 'C' : 'F'}`));
+  }
+  if (pass.roadCondition) {
+    cell.appendChild(createPassItem('Road', pass.roadCondition));
+  }
+  pass.restrictions.forEach(({ direction, text }) => {
+    cell.appendChild(createPassItem(direction, text, getRestrictionClass(text)));
+  });
+
+  if (pass.updated) {
+    const updated = document.createElement('span');
+    updated.className = 'pass-updated';
+    updated.textContent = `updated ${formatAlertTime(pass.updated.toISOString())}`;
+    cell.appendChild(updated);
+  }
+  cell.title = [pass.name, pass.weatherCondition].filter(Boolean).join(' · ');
+
+  return row;
+}
+
+/**
+ * Create a sub-header row naming a forecast point within a resort
+ * @param {object} resort
+ * @param {object} point - {id, name, lat, lon, elevation}
+ * @param {number} slotCount
+ * @param {{error: string|null, errorType: string|null}} status - Load status of this point
+ * @param {string} unitSystem
+ * @returns {HTMLElement}
+ */
+function createPointHeaderRow(resort, point, slotCount, { error, errorType }, unitSystem) {
+  const row = document.createElement('tr');
+  row.className = 'point-header-row';
+
+  const nameCell = document.createElement('td');
+  nameCell.className = 'point-name-cell';
+  nameCell.appendChild(createMapClickLink(point, point.name, resort.provider));
+
+  const elevation = formatElevation(point.elevation, unitSystem);
+  if (elevation) {
+    const elevationSpan = document.createElement('span');
+    elevationSpan.className = 'point-elevation';
+    elevationSpan.textContent = elevation;
+    nameCell.appendChild(elevationSpan);
+  }
+  row.appendChild(nameCell);
+
+  const fillCell = document.createElement('td');
+  fillCell.className = 'point-header-empty';
+  fillCell.colSpan = slotCount;
+  if (error) {
+    fillCell.classList.add('point-error');
+    fillCell.textContent = `⚠️ Failed to load forecast: ${error}`;
+    fillCell.title = getErrorHint(errorType);
+  }
+  row.appendChild(fillCell);
+
+  return row;
+}
+
+/**
+ * Create a metric row for one forecast point
+ * @param {object} metric
+ * @param {object} transformedData
+ * @param {Array<object|null>} [alertSlots] - Alert in effect per slot
+ * @returns {HTMLElement}
+ */
+function createMetricRow(metric, transformedData, alertSlots = []) {
+  const row = document.createElement('tr');
+  row.className = `metric-row metric-${metric.id}`;
+
+  const labelCell = document.createElement('td');
+  labelCell.className = 'metric-label';
+  labelCell.textContent = metric.label;
+  row.appendChild(labelCell);
+
+  const metricValues = transformedData.metricData[metric.id];
+  const changes = transformedData.changes?.slots[metric.id];
+  metricValues.forEach((data, index) => {
+    const cell = document.createElement('td');
+    cell.className = 'metric-value';
+    cell.textContent = data.formattedValue;
+
+    const cellClass = data.noData ? 'no-data' : getCellClass(metric.id, data.value);
+    if (cellClass) {
+      cell.classList.add(cellClass);
+    }
+    if (data.noData) {
+      cell.title = 'No data';
+    }
+    markChangedSlot(cell, changes?.[index] ?? null);
+    markAlertSlot(cell, alertSlots[index] ?? null);
+
+    if (index > 0 && transformedData.slots[index].dayLabel !== transformedData.slots[index - 1].dayLabel) {
+      cell.classList.add('day-start');
+    }
+
+    row.appendChild(cell);
+  });
+
+  return row;
+}
+
+/**
+ * Mark a cell whose value changed since the previous forecast run
+ * @param {HTMLElement} cell
+ * @param {{direction: string, previousFormatted: string}|null} change
+ */
+function markChangedSlot(cell, change) {
+  if (!change) return;
+  cell.classList.add('value-changed', `value-${change.direction}`);
+
+  const arrow = document.createElement('span');
+  arrow.className = 'change-arrow';
+  arrow.textContent = change.direction === 'up' ? '▲' : '▼';
+  cell.appendChild(arrow);
+  cell.title = `Was ${change.previousFormatted} in the previous run`;
+}
+
+/**
+ * Format when a previous forecast run was fetched
+ * @param {number} fetchedAt - ms
+ * @returns {string} e.g. "6 AM", or "Sun 6 PM" before today
+ */
+function formatRunTime(fetchedAt) {
+  const date = new Date(fetchedAt);
+  const options = { hour: 'numeric', minute: date.getMinutes() === 0 ? undefined : '2-digit' };
+  if (date.toDateString() !== new Date().toDateString()) {
+    options.weekday = 'short';
+  }
+  return date.toLocaleString('en-US', options).replace(',', '');
+}
+
+/**
+ * Create the line summarizing how each resort's 48h snow total changed since
+ * the previous forecast run, using the point that changed most
+ * @param {Array} resortData - Entries as for createCombinedForecastTable
+ * @param {object} snowMetric - The snow amount metric definition
+ * @returns {HTMLElement|null} Line, or null when no resort's total changed
+ */
+export function createChangeSummary(resortData, snowMetric) {
+  const items = [];
+
+  resortData.forEach(({ resort, points }) => {
+    let largest = null;
+    points.forEach(({ point, transformedData, previousFetchedAt }) => {
+      const change = transformedData?.changes?.totals[snowMetric.id]?.find(total => total.id === '48h');
+      if (change && Math.abs(change.delta) >= snowMetric.changeThreshold
+        && (!largest || Math.abs(change.delta) > Math.abs(largest.change.delta))) {
+        largest = { point, change, previousFetchedAt };
+      }
+    });
+    if (!largest) return;
+
+    const { point, change, previousFetchedAt } = largest;
+    const name = points.length > 1 ? `${resort.name} ${point.name}` : resort.name;
+    const sign = change.delta > 0 ? '+' : '−';
+    const item = document.createElement('span');
+    item.className = `change-item value-${change.delta > 0 ? 'up' : 'down'}`;
+    item.textContent = `${name} ${change.label} snow ${sign}${snowMetric.format(Math.abs(change.delta))} `
+      + `${snowMetric.unit} since ${formatRunTime(previousFetchedAt)}`;
+    items.push(item);
+  });
+
+  if (items.length === 0) return null;
+
+  const summary = document.createElement('div');
+  summary.className = 'change-summary';
+  const label = document.createElement('strong');
+  label.textContent = 'Since last check:';
+  summary.appendChild(label);
+  items.forEach(item => summary.appendChild(item));
+  return summary;
+}
+
+/**
+ * Create a summary row for one forecast point: running snow and rain totals
+ * and the storms in the forecast
+ * @param {object} transformedData - Forecast with totals and storms
  * @param {Array} metrics
+ * @param {number} slotCount
+ * @returns {HTMLElement|null} Row, or null when no amount metric is shown
+ */
+function createSummaryRow(transformedData, metrics, slotCount) {
+  const amountMetrics = metrics.filter(metric => transformedData.totals[metric.id]);
+  if (amountMetrics.length === 0) return null;
+
+  const row = document.createElement('tr');
+  row.className = 'summary-row';
+
+  const labelCell = document.createElement('td');
+  labelCell.className = 'metric-label';
+  labelCell.textContent = 'Totals';
+  row.appendChild(labelCell);
+
+  const summaryCell = document.createElement('td');
+  summaryCell.className = 'summary-cell';
+  summaryCell.colSpan = slotCount;
+
+  // e.g. "Snow (in) 24h 2.1 · 48h 4.0 · 5 day 7.5"
+  amountMetrics.forEach(metric => {
+    const group = document.createElement('span');
+    group.className = 'summary-group';
+
+    const name = document.createElement('span');
+    name.className = 'summary-name';
+    name.textContent = metric.label;
+    group.appendChild(name);
+
+    group.appendChild(document.createTextNode(
+      transformedData.totals[metric.id]
+        .map(({ label, formattedValue }) => `${label} ${formattedValue}`)
+        .join(' · ')
+    ));
+    summaryCell.appendChild(group);
+  });
+
+  // e.g. "Storm Tue 2AM – Wed 8AM: Snow (in) 8.5, Rain (in) 1.2"
+  transformedData.storms.forEach(storm => {
+    const stormSpan = document.createElement('span');
+    stormSpan.className = 'summary-storm';
+    const amounts = amountMetrics
+      .map(metric => `${metric.label} ${storm.totals[metric.id].formattedValue}`)
+      .join(', ');
+    stormSpan.textContent = `Storm ${storm.startLabel} – ${storm.endLabel}: ${amounts}`;
+    summaryCell.appendChild(stormSpan);
+  });
+
+  row.appendChild(summaryCell);
+  return row;
+}
+
+/**
+ * Create the comparison rows for one forecast point: a snow row per model
+ * plus a spread row showing how well the models agree
+ * @param {{models: Array, spread: Array}} comparison
+ * @param {object} snowMetric - The snow-amount metric definition
+ * @param {Array} slots - Slots of the point's own forecast, for day boundaries
+ * @returns {Array<HTMLElement>}
+ */
+function createComparisonRows(comparison, snowMetric, slots) {
+  const rows = comparison.models.map(({ model, values, error }) => {
+    if (!values) {
+      const row = document.createElement('tr');
+      row.className = 'metric-row model-row';
+
+      const labelCell = document.createElement('td');
+      labelCell.className = 'metric-label';
+      labelCell.textContent = model.label;
+      row.appendChild(labelCell);
+
+      const errorCell = document.createElement('td');
+      errorCell.className = 'metric-value model-unavailable';
+      errorCell.colSpan = slots.length;
+      errorCell.textContent = 'No data from this model';
+      errorCell.title = error ?? '';
+      row.appendChild(errorCell);
+      return row;
+    }
+
+    const row = createMetricRow(
+      { ...snowMetric, label: model.label },
+      { slots, metricData: { [snowMetric.id]: values } }
+    );
+    row.classList.add('model-row');
+    return row;
+  });
+
+  const spreadRow = document.createElement('tr');
+  spreadRow.className = 'metric-row spread-row';
+
+  const labelCell = document.createElement('td');
+  labelCell.className = 'metric-label';
+  labelCell.textContent = 'Model Spread';
+  spreadRow.appendChild(labelCell);
+
+  slots.forEach((slot, index) => {
+    const { min, max, count, agreement } = comparison.spread[index] ?? {};
+    const cell = document.createElement('td');
+    cell.className = 'metric-value';
+
+    if (!agreement) {
+      cell.textContent = '—';
+    } else {
+      // Show a dry model as 0 rather than the metric's "—" so the range reads clearly
+      const low = min === 0 ? '0' : snowMetric.format(min);
+      const high = max === 0 ? '0' : snowMetric.format(max);
+      cell.textContent = low === high ? high : `${low}–${high}`;
+      cell.classList.add(`agreement-${agreement}`);
+      cell.title = `${count} models, ${agreement} agreement`;
+    }
+
+    if (index > 0 && slot.dayLabel !== slots[index - 1].dayLabel) {
+      cell.classList.add('day-start');
+    }
+
+    spreadRow.appendChild(cell);
+  });
+
+  rows.push(spreadRow);
+  return rows;
+}
+
+/**
+ * Create a link from a resort header to its office's forecast discussion
+ * @param {string} office - e.g. "SEW"
  * @returns {HTMLElement}
  */
-export function createCombinedForecastTable(resortData, metrics) {
+function createDiscussionLink(office) {
+  const link = document.createElement('a');
+  link.className = 'discussion-link';
+  link.href = `#${getDiscussionPanelId(office)}`;
+  link.textContent = `AFD ${office}`;
+  link.title = `Forecast discussion from NWS ${office}`;
+  link.addEventListener('click', event => {
+    event.preventDefault();
+    showDiscussion(office);
+  });
+  return link;
+}
+
+/**
+ * Create the button switching one resort between table rows and charts
+ * @param {boolean} showingChart
+ * @param {function()} onClick
+ * @returns {HTMLElement}
+ */
+function createChartToggle(showingChart, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'chart-toggle';
+  button.textContent = showingChart ? 'Table' : 'Chart';
+  button.title = showingChart ? 'Show this resort as a table' : 'Show this resort as charts';
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * Create a combined forecast table for all resorts
+ * In compare mode each point shows one snow row per forecast model and a
+ * spread row instead of the regular metric rows. Resort header rows show the
+ * resort's ski score per slot when scores are given, and every point gets a
+ * summary row of running totals and storms. Resorts in chartResortIds are
+ * drawn as chart rows on the same columns instead.
+ * Active alerts show as a badge on the resort header that expands to details,
+ * and mark the slot columns they cover.
+ * Resorts whose office has a forecast discussion link to it, and resorts with
+ * an avalanche forecast get a danger row; resorts on a highway pass get its
+ * current conditions.
+ * @param {Array} resortData - Array of {resort, scores, alerts, office, avalanche, pass, points: [{point, transformedData, comparison, error, errorType, stale, fetchedAt, previousFetchedAt}]} objects
+ * @param {Array} metrics - Metrics to show as rows
+ * @param {object} [options]
+ * @param {string} [options.unitSystem='imperial']
+ * @param {boolean} [options.compareMode=false]
+ * @param {Array} [options.allMetrics] - Every metric definition, for charts and model comparison
+ * @param {Set<string>} [options.chartResortIds] - Resorts to draw as charts
+ * @param {function(string)} [options.onToggleChart] - Called with a resort id to switch its view
+ * @param {Set<string>} [options.discussionOffices] - Offices with a loaded forecast discussion
+ * @returns {HTMLElement}
+ */
+export function createCombinedForecastTable(resortData, metrics, options = {}) {
+  const {
+    unitSystem = 'imperial',
+    compareMode = false,
+    allMetrics = metrics,
+    chartResortIds = new Set(),
+    onToggleChart = null,
+    discussionOffices = new Set()
+  } = options;
+  const snowMetric = allMetrics.find(metric => metric.id === 'snow-amount');
+
   const container = document.createElement('div');
   container.className = 'combined-forecast';
 
@@ -272,17 +1099,20 @@ export function createCombinedForecastTable(resortData, metrics) {
   const table = document.createElement('table');
   table.className = 'forecast-table';
 
-  // Use first resort's data for header structure
-  const firstData = resortData[0].transformedData;
+  // All points share one timeline, so any loaded point gives the header structure
+  const firstData = resortData
+    .flatMap(({ points }) => points)
+    .find(({ transformedData }) => transformedData).transformedData;
 
   // Create header rows with day and time slots
   const thead = document.createElement('thead');
 
-  // First row: Day headers (merged)
+  // First row: Day headers (merged), corner shows the time zone of the labels
   const dayRow = document.createElement('tr');
   const dayCornerCell = document.createElement('th');
   dayCornerCell.className = 'metric-header';
   dayCornerCell.rowSpan = 2;
+  dayCornerCell.textContent = firstData.zoneLabel ?? '';
   dayRow.appendChild(dayCornerCell);
 
   // Group slots by day and create merged headers
@@ -334,60 +1164,104 @@ export function createCombinedForecastTable(resortData, metrics) {
   // Create body with all resorts
   const tbody = document.createElement('tbody');
 
-  resortData.forEach(({ resort, transformedData }) => {
+  resortData.forEach(({ resort, points, scores, alerts = [], office = null, avalanche = null, pass = null }) => {
+    const alertSlots = getAlertSlots(alerts, firstData.slots);
+
     // Resort name row
     const resortRow = document.createElement('tr');
     resortRow.className = 'resort-header-row';
 
     const resortCell = document.createElement('td');
     resortCell.className = 'resort-name-cell';
+    resortCell.appendChild(createMapClickLink(points[0].point, resort.name, resort.provider));
 
-    const link = document.createElement('a');
-    link.href = `https://forecast.weather.gov/MapClick.php?lat=${resort.lat}&lon=${resort.lon}`;
-    link.target = '_blank';
-    link.rel = 'noopener';
-    link.textContent = resort.name;
-    resortCell.appendChild(link);
-    resortRow.appendChild(resortCell);
+    const staleBadge = createStaleBadge(points);
+    if (staleBadge) {
+      resortCell.appendChild(staleBadge);
+    }
 
-    // Empty cells to fill the row
-    for (let i = 0; i < firstData.slots.length; i++) {
-      const emptyCell = document.createElement('td');
-      emptyCell.className = 'resort-header-empty';
-      resortRow.appendChild(emptyCell);
+    if (office && discussionOffices.has(office)) {
+      resortCell.appendChild(createDiscussionLink(office));
     }
 
-    tbody.appendChild(resortRow);
+    let alertPanelRow = null;
+    if (alerts.length > 0) {
+      alertPanelRow = createAlertPanelRow(resort.id, alerts, firstData.slots.length);
+      resortCell.appendChild(createAlertBadge(alerts, () => {
+        alertPanelRow.hidden = !alertPanelRow.hidden;
+      }));
+    }
 
-    // Metric rows for this resort
-    metrics.forEach(metric => {
-      const row = document.createElement('tr');
-      row.className = `metric-row metric-${metric.id}`;
+    const showChart = chartResortIds.has(resort.id);
+    if (onToggleChart) {
+      resortCell.appendChild(createChartToggle(showChart, () => onToggleChart(resort.id)));
+    }
+    resortRow.appendChild(resortCell);
 
-      const labelCell = document.createElement('td');
-      labelCell.className = 'metric-label';
-      labelCell.textContent = metric.label;
-      row.appendChild(labelCell);
+    // Fill the row with the resort's ski score per slot
+    firstData.slots.forEach((slot, index) => {
+      const scoreCell = document.createElement('td');
+      scoreCell.className = 'resort-header-empty';
 
-      const metricValues = transformedData.metricData[metric.id];
-      metricValues.forEach((data, index) => {
-        const cell = document.createElement('td');
-        cell.className = 'metric-value';
-        cell.textContent = data.formattedValue;
+      const score = scores?.slots[index] ?? null;
+      if (score !== null) {
+        scoreCell.textContent = String(score);
+        scoreCell.classList.add('score-cell', getScoreClass(score));
+        scoreCell.title = `Ski score ${score}/100`;
+      }
+      if (index > 0 && slot.dayLabel !== firstData.slots[index - 1].dayLabel) {
+        scoreCell.classList.add('day-start');
+      }
+      markAlertSlot(scoreCell, alertSlots[index]);
 
-        const cellClass = getCellClass(metric.id, data.value);
-        if (cellClass) {
-          cell.classList.add(cellClass);
-        }
+      resortRow.appendChild(scoreCell);
+    });
 
-        if (index > 0 && transformedData.slots[index].dayLabel !== transformedData.slots[index - 1].dayLabel) {
-          cell.classList.add('day-start');
-        }
+    tbody.appendChild(resortRow);
+    if (alertPanelRow) {
+      tbody.appendChild(alertPanelRow);
+    }
+    if (avalanche) {
+      tbody.appendChild(createDangerRow(avalanche, firstData.slots));
+    }
+    if (pass) {
+      tbody.appendChild(createPassRow(pass, firstData.slots.length, unitSystem));
+    }
 
-        row.appendChild(cell);
-      });
+    // Chart view: one set of charts per resort, its points drawn as separate series
+    if (showChart) {
+      points
+        .filter(({ error }) => error)
+        .forEach(({ point, error, errorType }) => {
+          tbody.appendChild(createPointHeaderRow(resort, point, firstData.slots.length, { error, errorType }, unitSystem));
+        });
+      createResortChartRows(points.filter(({ transformedData }) => transformedData), allMetrics, firstData.slots)
+        .forEach(row => tbody.appendChild(row));
+      return;
+    }
+
+    points.forEach(({ point, transformedData, comparison, error, errorType }) => {
+      // Only label points when a resort has more than one
+      if (points.length > 1 || error) {
+        tbody.appendChild(createPointHeaderRow(resort, point, firstData.slots.length, { error, errorType }, unitSystem));
+      }
+      if (!transformedData) return;
+
+      const summaryRow = createSummaryRow(transformedData, metrics, firstData.slots.length);
+      if (summaryRow) {
+        tbody.appendChild(summaryRow);
+      }
+
+      if (compareMode && comparison && snowMetric) {
+        createComparisonRows(comparison, snowMetric, transformedData.slots)
+          .forEach(row => tbody.appendChild(row));
+        return;
+      }
 
-      tbody.appendChild(row);
+      // Metric rows for this point
+      metrics.forEach(metric => {
+        tbody.appendChild(createMetricRow(metric, transformedData, alertSlots));
+      });
     });
   });
 
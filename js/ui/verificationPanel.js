@@ -0,0 +1,164 @@
+// DOM rendering for the forecast verification view
+// Forecast vs. observed snow and temperature per resort, with season bias stats.
+
+import { LEAD_HOURS, LEAD_TOLERANCE } from '../data/forecastVerification.js';
+
+const RECENT_DAYS = 10;
+const MM_PER_INCH = 25.4;
+
+/**
+ * Format a snow amount
+ * @param {number} mm
+ * @param {string} unitSystem
+ * @param {boolean} [signed=false] - Prefix positive values with "+"
+ * @returns {string}
+ */
+function formatSnow(mm, unitSystem, signed = false) {
+  const value = unitSystem === 'metric' ? mm / 10 : mm / MM_PER_INCH;
+  const sign = signed && value > 0 ? '+' : '';
+  return `${sign}${value.toFixed(1)} ${unitSystem === 'metric' ? 'cm' : 'in'}`;
+}
+
+/**
+ * Format a temperature
+ * @param {number} fahrenheit
+ * @param {string} unitSystem
+ * @returns {string}
+ */
+function formatTemp(fahrenheit, unitSystem) {
+  if (unitSystem === 'metric') {
+    return `${Math.round((fahrenheit - 32) * 5 / 9)}°C`;
+  }
+  return `${Math.round(fahrenheit)}°F`;
+}
+
+/**
+ * Format a temperature difference
+ * @param {number} fahrenheit - Difference in Fahrenheit degrees
+ * @param {string} unitSystem
+ * @param {boolean} [signed=false] - Prefix positive values with "+"
+ * @returns {string}
+ */
+function formatTempDifference(fahrenheit, unitSystem, signed = false) {
+  const value = unitSystem === 'metric' ? fahrenheit * 5 / 9 : fahrenheit;
+  const sign = signed && value > 0 ? '+' : '';
+  return `${sign}${value.toFixed(1)}°${unitSystem === 'metric' ? 'C' : 'F'}`;
+}
+
+/**
+ * Describe bias stats in a sentence
+ * @param {{count: number, bias: number|null, mae: number|null}} stats
+ * @param {function(number, boolean): string} format - Formats a difference
+ * @param {string} perDay - Unit suffix, e.g. "/day" or ""
+ * @returns {string}
+ */
+function describeBias(stats, format, perDay) {
+  if (stats.count === 0) return 'not enough data yet';
+  const days = stats.count === 1 ? '1 day' : `${stats.count} days`;
+  return `bias ${format(stats.bias, true)}${perDay}, typical error ${format(stats.mae, false)}${perDay} over ${days}`;
+}
+
+/**
+ * Create the table of recent verified days
+ * @param {Array} days - Verified days, oldest first
+ * @param {string} unitSystem
+ * @returns {HTMLElement}
+ */
+function createDaysTable(days, unitSystem) {
+  const table = document.createElement('table');
+  table.className = 'verification-table';
+
+  const header = document.createElement('tr');
+  ['Day', 'Forecast snow', 'Observed snow', 'Forecast temp', 'Observed temp'].forEach(text => {
+    const th = document.createElement('th');
+    th.textContent = text;
+    header.appendChild(th);
+  });
+  table.appendChild(header);
+
+  days.slice(-RECENT_DAYS).reverse().forEach(day => {
+    const row = document.createElement('tr');
+    const cells = [
+      day.date,
+      day.snowHours > 0 ? formatSnow(day.forecastSnow, unitSystem) : '—',
+      day.snowHours > 0 ? formatSnow(day.observedSnow, unitSystem) : '—',
+      day.tempHours > 0 ? formatTemp(day.forecastTempSum / day.tempHours, unitSystem) : '—',
+      day.tempHours > 0 ? formatTemp(day.observedTempSum / day.tempHours, unitSystem) : '—'
+    ];
+    cells.forEach(text => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      row.appendChild(td);
+    });
+    table.appendChild(row);
+  });
+
+  return table;
+}
+
+/**
+ * Create one resort's verification section
+ * @param {{resort: object, station: object|null, days: Array, summary: object, error: string|null}} result
+ * @param {string} unitSystem
+ * @returns {HTMLElement}
+ */
+function createResortVerification({ resort, station, days, summary, error }, unitSystem) {
+  const section = document.createElement('section');
+  section.className = 'verification-resort';
+
+  const heading = document.createElement('h3');
+  heading.textContent = station ? `${resort.name} vs. ${station.name}` : resort.name;
+  section.appendChild(heading);
+
+  if (error) {
+    const message = document.createElement('p');
+    message.className = 'verification-error';
+    message.textContent = `Could not fetch observations: ${error}`;
+    section.appendChild(message);
+  }
+
+  if (days.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'verification-empty';
+    empty.textContent = 'Collecting forecasts. Results appear once forecast hours have passed.';
+    section.appendChild(empty);
+    return section;
+  }
+
+  const stats = document.createElement('p');
+  stats.className = 'verification-stats';
+  const snowBias = describeBias(summary.snow, (value, signed) => formatSnow(value, unitSystem, signed), '/day');
+  const tempBias = describeBias(summary.temperature, (value, signed) => formatTempDifference(value, unitSystem, signed), '');
+  stats.textContent = `Snow: ${snowBias}. Temperature: ${tempBias}.`;
+  section.appendChild(stats);
+
+  section.appendChild(createDaysTable(days, unitSystem));
+  return section;
+}
+
+/**
+ * Create the verification view
+ * Each day compares the forecast made about LEAD_HOURS before each hour with
+ * what the station reported. Positive bias means forecasts ran high.
+ * @param {Array} results - From verifyForecasts or loadVerificationResults
+ * @param {string} unitSystem - 'imperial' or 'metric'
+ * @returns {HTMLElement}
+ */
+export function createVerificationPanel(results, unitSystem) {
+  const panel = document.createElement('div');
+  panel.className = 'verification-panel';
+
+  const title = document.createElement('h2');
+  title.textContent = 'Forecast verification';
+  panel.appendChild(title);
+
+  const note = document.createElement('p');
+  note.className = 'verification-note';
+  note.textContent = `Forecasts made ${LEAD_HOURS - LEAD_TOLERANCE}–${LEAD_HOURS + LEAD_TOLERANCE} hours ahead `
+    + 'vs. what was observed this season. Positive bias means forecasts ran high. '
+    + 'Observed snow needs a station that reports snow depth.';
+  panel.appendChild(note);
+
+  results.forEach(result => panel.appendChild(createResortVerification(result, unitSystem)));
+  return panel;
+}
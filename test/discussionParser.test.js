@@ -0,0 +1,84 @@
+// Area Forecast Discussion parsing: sections, their text and the winter highlights
+// Run with: node --test test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseDiscussion } from '../js/data/discussionParser.js';
+
+// Trimmed from a Seattle AFD; offices write headers in capitals or in mixed case
+const PRODUCT = `000
+FXUS66 KSEW 151045
+AFDSEW
+
+Area Forecast Discussion
+National Weather Service Seattle WA
+245 AM PST Wed Jan 15 2025
+
+.SYNOPSIS...A front brings mountain snow today. Showers taper
+Thursday as high pressure builds.
+
+&&
+
+.Short Term /Tonight through Saturday/...Onshore flow keeps
+showers going over the Cascades.
+
+Snow levels fall to near 2000 feet tonight, with 8 to 14 inches
+at the passes through Thursday.
+
+&&
+
+.LONG TERM /Sunday through Tuesday/...Dry and cooler.
+
+&&
+
+.AVIATION...Mountains obscured in showers. MVFR ceilings.
+
+&&
+
+.WINTER WEATHER...Winter Storm Warning for the Cascades of
+Snohomish and King Counties until 10 PM.
+
+$$
+
+SEW WATCHES/WARNINGS/ADVISORIES...Winter Storm Warning.
+`;
+
+test('splits the discussion into titled sections, whatever the case of the header', () => {
+  const { sections } = parseDiscussion(PRODUCT);
+
+  assert.deepEqual(sections.map(section => section.title), [
+    'SYNOPSIS',
+    'Short Term /Tonight through Saturday/',
+    'LONG TERM /Sunday through Tuesday/',
+    'AVIATION',
+    'WINTER WEATHER'
+  ]);
+});
+
+test('joins wrapped lines into paragraphs and stops at "&&"', () => {
+  const shortTerm = parseDiscussion(PRODUCT).sections[1];
+
+  assert.deepEqual(shortTerm.paragraphs, [
+    'Onshore flow keeps showers going over the Cascades.',
+    'Snow levels fall to near 2000 feet tonight, with 8 to 14 inches at the passes through Thursday.'
+  ]);
+  assert.equal(shortTerm.isWinter, false);
+});
+
+test('highlights winter paragraphs and skips aviation', () => {
+  const { highlights } = parseDiscussion(PRODUCT);
+
+  assert.deepEqual(highlights.map(({ section }) => section), [
+    'SYNOPSIS',
+    'Short Term /Tonight through Saturday/',
+    'Short Term /Tonight through Saturday/',
+    'WINTER WEATHER'
+  ]);
+  assert.match(highlights[2].text, /^Snow levels fall to near 2000 feet/);
+});
+
+test('ignores text after "$$" and handles a missing product', () => {
+  assert.equal(parseDiscussion(PRODUCT).sections.length, 5);
+  assert.deepEqual(parseDiscussion(null), { sections: [], highlights: [] });
+});
@@ -0,0 +1,314 @@
+// Provider checks against saved API responses, trimmed to a few hours or entries
+// Each provider is pointed at a local stub server through its `baseUrl` option,
+// which answers with the JSON fixtures in test/fixtures.
+// Run with: node --test test/
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { readFileSync } from 'node:fs';
+
+import { createNoaaProvider } from '../js/api/providers/noaaProvider.js';
+import { createOpenMeteoProvider } from '../js/api/providers/openMeteoProvider.js';
+import { createAvalancheProvider } from '../js/api/providers/avalancheProvider.js';
+import { createWsdotProvider } from '../js/api/providers/wsdotProvider.js';
+import { createSnotelProvider } from '../js/api/providers/snotelProvider.js';
+import { InvalidLocationError } from '../js/api/errors.js';
+
+const NOW = Date.parse('2025-01-15T12:30:00Z'); // while the fixtures were current
+const STEVENS_BASE = { id: 'base', name: 'Base', lat: 47.7448, lon: -121.089, elevation: 4061 };
+const WHISTLER_PEAK = { id: 'peak', name: 'Peak', lat: 50.11, lon: -122.95, elevation: 6020 };
+
+// Path (and query, for Open-Meteo) -> [status, fixture file]
+const ROUTES = [
+  [/^\/points\/47\.7448,-121\.089$/, 200, 'noaa/points.json'],
+  [/^\/points\/49\.9,-122\.9$/, 404, 'noaa/points-outside-coverage.json'],
+  [/^\/gridpoints\/SEW\/163,53\/forecast\/hourly$/, 200, 'noaa/forecast-hourly.json'],
+  [/^\/gridpoints\/SEW\/163,53$/, 200, 'noaa/gridpoint.json'],
+  [/^\/v1\/forecast\?latitude=95/, 400, 'open-meteo/invalid-location.json'],
+  [/^\/v1\/forecast\?/, 200, 'open-meteo/forecast.json'],
+  [/^\/v2\/public\/products\/map-layer\/NWAC$/, 200, 'avalanche/map-layer.json'],
+  [/^\/v2\/public\/product\?/, 200, 'avalanche/product.json'],
+  [/\/GetMountainPassConditionsAsJson\?/, 200, 'wsdot/mountain-pass-conditions.json'],
+  [/^\/services\/v1\/data\?/, 200, 'snotel/awdb-data.json']
+];
+
+let server;
+let baseUrl;
+let requests = [];
+
+/**
+ * Read a fixture, with recorded NOAA URLs pointed at the stub server
+ * @param {string} name - Path below test/fixtures
+ * @returns {string}
+ */
+function readFixture(name) {
+  const text = readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+  return text.replaceAll('https://api.weather.gov', baseUrl);
+}
+
+/**
+ * Minimal in-memory localStorage for the grid point lookup cache
+ * @returns {Storage}
+ */
+function createMemoryStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key),
+    clear: () => items.clear()
+  };
+}
+
+before(async () => {
+  globalThis.localStorage = createMemoryStorage();
+
+  server = createServer((request, response) => {
+    requests.push(request.url);
+    const route = ROUTES.find(([pattern]) => pattern.test(request.url));
+    if (!route) {
+      response.writeHead(404, { 'Content-Type': 'application/json' });
+      response.end('{}');
+      return;
+    }
+    const [, status, fixture] = route;
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(readFixture(fixture));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  localStorage.clear();
+  requests = [];
+});
+
+test('NOAA: merges gridpoint layers into the hourly periods', async () => {
+  const provider = createNoaaProvider({ baseUrl });
+  const { periods, meta } = await provider.fetchForecast(STEVENS_BASE);
+
+  assert.equal(meta.gridId, 'SEW');
+  assert.equal(meta.timeZone, 'America/Los_Angeles');
+  assert.equal(periods.length, 12);
+
+  const [first] = periods;
+  assert.equal(first.startTime, '2025-01-15T04:00:00-08:00');
+  assert.equal(first.temperature, 24);
+  assert.equal(first.windSpeed, '15 mph');
+  assert.equal(first.windDirection, 'SW');
+  assert.equal(first.shortForecast, 'Snow Showers Likely');
+
+  // 30 mm over PT6H, then 12 mm over PT6H, split evenly per hour
+  assert.deepEqual(periods.map(period => period.snowfallAmount), [5, 5, 5, 5, 5, 5, 2, 2, 2, 2, 2, 2]);
+  assert.equal(first.precipAmount.toFixed(2), '0.55');
+
+  // Snow level and gusts repeat over their interval; gusts go from km/h to mph
+  assert.equal(periods[2].snowLevel, 914.4);
+  assert.equal(periods[3].snowLevel, 1066.8);
+  assert.equal(Math.round(periods[0].windGust), 30);
+  assert.equal(Math.round(periods[4].windGust), 25);
+});
+
+test('NOAA: caches the grid point lookup', async () => {
+  const provider = createNoaaProvider({ baseUrl });
+  await provider.fetchForecast(STEVENS_BASE);
+  await provider.fetchForecast(STEVENS_BASE);
+
+  assert.equal(requests.filter(url => url.startsWith('/points/')).length, 1);
+});
+
+test('NOAA: a point outside coverage is an InvalidLocationError', async () => {
+  const provider = createNoaaProvider({ baseUrl });
+  await assert.rejects(
+    provider.fetchForecast({ id: 'peak', name: 'Peak', lat: 49.9, lon: -122.9 }),
+    error => error instanceof InvalidLocationError && error.status === 404
+  );
+});
+
+test('Open-Meteo: normalizes hourly arrays into NOAA-shaped periods', async t => {
+  t.mock.method(Date, 'now', () => NOW);
+  const provider = createOpenMeteoProvider({ baseUrl });
+  const { periods, meta } = await provider.fetchForecast(WHISTLER_PEAK);
+
+  assert.equal(meta.timeZone, 'America/Vancouver');
+
+  // The fixture starts at local midnight; hours already over are dropped
+  assert.equal(periods.length, 8);
+
+  const [first] = periods;
+  assert.equal(first.startTime, '2025-01-15T12:00:00.000Z');
+  assert.equal(first.endTime, '2025-01-15T13:00:00.000Z');
+  assert.equal(first.temperature, 21);
+  assert.equal(first.windSpeed, '15 mph');
+  assert.equal(first.windDirection, 'WSW');
+  assert.equal(first.windGust, 30.9);
+  assert.equal(first.shortForecast, 'Heavy Snow');
+  assert.equal(first.probabilityOfPrecipitation.value, 85);
+  assert.equal(first.snowfallAmount, 7); // 0.7 cm
+  assert.equal(first.precipAmount, 1);
+  assert.equal(first.snowLevel, 760); // freezing level 1060 m less 300 m
+
+  // Missing values stay null rather than becoming zero
+  const last = periods[periods.length - 1];
+  assert.equal(last.windDirection, null);
+  assert.equal(last.snowLevel, null);
+});
+
+test('Open-Meteo: asks for the model and the point elevation', async t => {
+  t.mock.method(Date, 'now', () => NOW);
+  const provider = createOpenMeteoProvider({ baseUrl, model: 'gfs_seamless' });
+  await provider.fetchForecast(WHISTLER_PEAK);
+
+  assert.equal(provider.id, 'open-meteo:gfs_seamless');
+  const params = new URL(requests[0], baseUrl).searchParams;
+  assert.equal(params.get('models'), 'gfs_seamless');
+  assert.equal(params.get('elevation'), '1835'); // 6020 ft
+  assert.equal(params.get('timeformat'), 'unixtime');
+});
+
+test('Open-Meteo: out-of-range coordinates are an InvalidLocationError', async () => {
+  const provider = createOpenMeteoProvider({ baseUrl });
+  await assert.rejects(
+    provider.fetchForecast({ id: 'bad', name: 'Bad', lat: 95, lon: 0 }),
+    InvalidLocationError
+  );
+});
+
+test('Avalanche: looks the zone up by name and asks for its forecast', async () => {
+  const provider = createAvalancheProvider({ baseUrl });
+  const forecast = await provider.fetchForecast({ center: 'NWAC', zone: 'stevens pass' });
+
+  assert.equal(forecast.offSeason, false);
+  assert.equal(forecast.link, 'https://nwac.us/avalanche-forecast/#/stevens-pass');
+  assert.equal(forecast.publishedTime, '2025-01-14T23:15:00+00:00');
+
+  const params = new URL(requests.at(-1), baseUrl).searchParams;
+  assert.equal(params.get('center_id'), 'NWAC');
+  assert.equal(params.get('zone_id'), '1648');
+
+  // The map layer is fetched once per center
+  await provider.fetchForecast({ center: 'NWAC', zone: 'West Slopes North' });
+  assert.equal(requests.filter(url => url.includes('/map-layer/')).length, 1);
+});
+
+test('Avalanche: current and tomorrow ratings run a day each, up to and after expiry', async () => {
+  const provider = createAvalancheProvider({ baseUrl });
+  const { days } = await provider.fetchForecast({ center: 'NWAC', zone: 'Stevens Pass' });
+
+  // expires_time is 6 PM PST on the 15th
+  assert.deepEqual(days.map(({ startTime, endTime }) => [startTime.toISOString(), endTime.toISOString()]), [
+    ['2025-01-15T02:00:00.000Z', '2025-01-16T02:00:00.000Z'],
+    ['2025-01-16T02:00:00.000Z', '2025-01-17T02:00:00.000Z']
+  ]);
+  assert.deepEqual(days.map(({ upper, middle, lower }) => [upper, middle, lower]), [
+    [4, 3, 2],
+    [3, null, 1] // 0 is "no rating"
+  ]);
+});
+
+test('Avalanche: an off-season zone has no ratings and no product request', async () => {
+  const provider = createAvalancheProvider({ baseUrl });
+  const forecast = await provider.fetchForecast({ center: 'NWAC', zone: 'Mt Hood' });
+
+  assert.equal(forecast.offSeason, true);
+  assert.deepEqual(forecast.days, []);
+  assert.equal(requests.some(url => url.startsWith('/v2/public/product?')), false);
+});
+
+test('Avalanche: an unknown zone is an InvalidLocationError', async () => {
+  const provider = createAvalancheProvider({ baseUrl });
+  await assert.rejects(
+    provider.fetchForecast({ center: 'NWAC', zone: 'Mission Ridge' }),
+    InvalidLocationError
+  );
+});
+
+test('WSDOT: sends the access code and keeps restrictions per direction', async () => {
+  const provider = createWsdotProvider({ accessCode: 'TEST-CODE', baseUrl });
+  const passes = await provider.fetchPasses();
+
+  assert.equal(new URL(requests[0], baseUrl).searchParams.get('AccessCode'), 'TEST-CODE');
+  assert.deepEqual(passes.map(pass => pass.id), [10, 11, 12]);
+
+  const snoqualmie = passes.find(pass => pass.id === 11);
+  assert.equal(snoqualmie.name, 'Snoqualmie Pass I-90');
+  assert.equal(snoqualmie.roadCondition, 'Snow and slush on the roadway.');
+  assert.equal(snoqualmie.temperature, 29);
+  assert.equal(snoqualmie.closed, false);
+  assert.deepEqual(snoqualmie.restrictions, [
+    { direction: 'Eastbound', text: 'Traction tires advised, oversize vehicles prohibited.' },
+    { direction: 'Westbound', text: 'Chains are required on all vehicles except all wheel drive.' }
+  ]);
+});
+
+test('WSDOT: a closure in a restriction closes the pass', async () => {
+  const provider = createWsdotProvider({ accessCode: 'TEST-CODE', baseUrl });
+  const passes = await provider.fetchPasses();
+
+  assert.equal(passes.find(pass => pass.id === 10).closed, true);
+
+  const whitePass = passes.find(pass => pass.id === 12);
+  assert.equal(whitePass.closed, false);
+  assert.equal(whitePass.temperature, null);
+  assert.equal(whitePass.weatherCondition, null);
+});
+
+test('WSDOT: reads /Date(ms-0800)/ update times as UTC milliseconds', async () => {
+  const provider = createWsdotProvider({ accessCode: 'TEST-CODE', baseUrl });
+  const [stevens] = await provider.fetchPasses();
+
+  // 8:15 AM PST; the offset only says which zone the time was written in
+  assert.equal(stevens.updated.toISOString(), '2025-01-15T16:15:00.000Z');
+});
+
+test('SNOTEL: asks for the range in station standard time', async () => {
+  const provider = createSnotelProvider({ baseUrl });
+  await provider.fetchObservations(
+    '791:WA:SNTL',
+    new Date('2025-01-15T12:00:00Z'),
+    new Date('2025-01-15T16:00:00Z')
+  );
+
+  const params = new URL(requests[0], baseUrl).searchParams;
+  assert.equal(params.get('stationTriplets'), '791:WA:SNTL');
+  assert.equal(params.get('elements'), 'SNWD,TOBS');
+  assert.equal(params.get('beginDate'), '2025-01-15 04:00');
+  assert.equal(params.get('endDate'), '2025-01-15 08:00');
+});
+
+test('SNOTEL: merges snow depth and temperature by hour, in mm and F', async () => {
+  const provider = createSnotelProvider({ baseUrl });
+  const { station, observations } = await provider.fetchObservations(
+    '791:WA:SNTL',
+    new Date('2025-01-15T12:00:00Z'),
+    new Date('2025-01-15T16:00:00Z')
+  );
+
+  assert.equal(station.id, '791:WA:SNTL');
+  assert.deepEqual(observations.map(({ time }) => new Date(time).toISOString()), [
+    '2025-01-15T12:00:00.000Z',
+    '2025-01-15T13:00:00.000Z',
+    '2025-01-15T14:00:00.000Z',
+    '2025-01-15T15:00:00.000Z'
+  ]);
+  assert.equal(observations[0].snowDepth.toFixed(1), '1574.8'); // 62 in
+  assert.equal(observations[0].temperature, 26.1);
+
+  // A null depth and a missing temperature both stay null
+  assert.equal(observations[2].snowDepth, null);
+  assert.equal(observations[2].temperature, 25.2);
+  assert.equal(observations[3].snowDepth.toFixed(1), '1651.0');
+  assert.equal(observations[3].temperature, null);
+});
+
+test('SNOTEL: a station missing from the response is an InvalidLocationError', async () => {
+  const provider = createSnotelProvider({ baseUrl });
+  await assert.rejects(
+    provider.fetchObservations('999:WA:SNTL', new Date('2025-01-15T12:00:00Z'), new Date('2025-01-15T16:00:00Z')),
+    InvalidLocationError
+  );
+});